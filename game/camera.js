@@ -0,0 +1,129 @@
+/// @module game/camera
+/// @desc A camera rig with orbit, follow and top-down modes and damped transitions.
+///
+/// The player controls the camera with `pan` (around the y-axis), `tilt` (around the
+/// x-axis) and `zoom` (distance to the focus). Every mode turns these into a target
+/// focus point and orientation, and the actual camera eases towards the target, so
+/// that switching modes or snapping to a side never makes the view jump.
+import { Vec3 } from "../glance/js/math/Vec3.js";
+import { Quat } from "../glance/js/math/Quat.js";
+export { CameraMode, CameraRig, };
+/// All modes of the camera rig.
+const CameraMode = Object.freeze({
+    /// Free orbit around a fixed focus point.
+    ORBIT: "orbit",
+    /// Orbit around a focus point that follows the game, like the active piece.
+    FOLLOW: "follow",
+    /// Looking straight down onto the followed point, for placing pieces.
+    TOP_DOWN: "topDown",
+});
+/// The order in which `cycleMode` switches through the modes.
+const MODE_ORDER = [CameraMode.ORBIT, CameraMode.FOLLOW, CameraMode.TOP_DOWN];
+/// The orientation without any rotation.
+const IDENTITY = Quat.identity();
+/// Quarter turn in radians, the angle between two sides of the grid.
+const QUARTER_TURN = Math.PI / 2;
+/// Keeps track of the camera controls and eases the camera towards the current mode.
+class CameraRig {
+    /// The current mode.
+    mode = CameraMode.ORBIT;
+    /// Rotation around the y-axis in radians.
+    pan;
+    /// Rotation around the x-axis in radians, negative values look down.
+    tilt;
+    /// Distance between the camera and its focus.
+    zoom;
+    /// Smallest and largest allowed zoom.
+    minZoom;
+    maxZoom;
+    /// Time constant of the damping in milliseconds, larger values are smoother.
+    smoothing;
+    /// Focus point of the orbit mode.
+    orbitFocus;
+    /// The damped point that the camera looks at.
+    focus;
+    /// The damped orientation of the camera.
+    orientation;
+    /// The damped distance between the camera and its focus.
+    distance;
+    /// Position of the camera, updated by `update`.
+    position = Vec3.zero();
+    /// Up direction of the camera, updated by `update`.
+    up = Vec3.yAxis();
+    /// Target focus and orientation, reused every update.
+    _targetFocus = Vec3.zero();
+    _targetOrientation = Quat.identity();
+    /// @param options Camera options:
+    ///  - `pan`, `tilt`, `zoom`: Initial controls, default to 0, 0 and 10.
+    ///  - `minZoom`, `maxZoom`: Zoom limits, default to 1 and 100.
+    ///  - `focus`: Focus point of the orbit mode, defaults to the origin.
+    ///  - `smoothing`: Damping time constant in milliseconds, defaults to 150.
+    constructor(options = {}) {
+        this.pan = options.pan ?? 0;
+        this.tilt = options.tilt ?? 0;
+        this.minZoom = options.minZoom ?? 1;
+        this.maxZoom = options.maxZoom ?? 100;
+        this.zoom = Math.min(Math.max(options.zoom ?? 10, this.minZoom), this.maxZoom);
+        this.smoothing = options.smoothing ?? 150;
+        this.orbitFocus = (options.focus ?? Vec3.zero()).clone();
+        this.focus = this.orbitFocus.clone();
+        this.orientation = this._orientationOf(this.tilt, Quat.identity());
+        this.distance = this.zoom;
+        this._updatePosition();
+    }
+    /// Switches to the given mode.
+    setMode(mode) {
+        if (!MODE_ORDER.includes(mode)) {
+            throw new Error(`Invalid camera mode: ${mode}.`);
+        }
+        this.mode = mode;
+    }
+    /// Switches to the next mode.
+    cycleMode() {
+        this.setMode(MODE_ORDER[(MODE_ORDER.indexOf(this.mode) + 1) % MODE_ORDER.length]);
+    }
+    /// Rotates the camera around its focus.
+    /// @param deltaPan Radians to add to the pan.
+    /// @param deltaTilt Radians to add to the tilt, the result is clamped to straight up or down.
+    orbit(deltaPan, deltaTilt) {
+        this.pan += deltaPan;
+        this.tilt = Math.min(Math.max(this.tilt + deltaTilt, -QUARTER_TURN), QUARTER_TURN);
+    }
+    /// Multiplies the zoom with the given factor, within the zoom limits.
+    zoomBy(factor) {
+        this.zoom = Math.min(Math.max(this.zoom * factor, this.minZoom), this.maxZoom);
+    }
+    /// Turns the camera to face the closest side of the grid, or the next side if it
+    /// already faces one.
+    snapToSide() {
+        const snapped = Math.round(this.pan / QUARTER_TURN) * QUARTER_TURN;
+        this.pan = Math.abs(snapped - this.pan) < 1e-3 ? snapped + QUARTER_TURN : snapped;
+    }
+    /// Eases the camera towards the target of the current mode.
+    /// @param deltaTime Milliseconds since the last update.
+    /// @param target The point that the follow and top-down modes look at.
+    update(deltaTime, target) {
+        if (this.mode === CameraMode.ORBIT) {
+            this._targetFocus.copy(this.orbitFocus);
+        } else {
+            this._targetFocus.copy(target);
+        }
+        const tilt = this.mode === CameraMode.TOP_DOWN ? -QUARTER_TURN : this.tilt;
+        this._orientationOf(tilt, this._targetOrientation);
+
+        // Exponential damping, independent of the frame rate
+        const t = this.smoothing > 0 ? 1 - Math.exp(-deltaTime / this.smoothing) : 1;
+        this.focus.lerp(this._targetFocus, t);
+        this.orientation.slerp(this._targetOrientation, t).normalize();
+        this.distance += (this.zoom - this.distance) * t;
+        this._updatePosition();
+    }
+    /// Writes the orientation for the current pan and the given tilt into `out`.
+    _orientationOf(tilt, out) {
+        return out.copy(IDENTITY).rotateY(this.pan).rotateX(tilt);
+    }
+    _updatePosition() {
+        this.position.set(0, 0, this.distance).rotateQuat(this.orientation).add(this.focus);
+        this.up.set(0, 1, 0).rotateQuat(this.orientation);
+    }
+}
@@ -0,0 +1,164 @@
+/// @module game/hud
+/// @desc The heads-up display with score, level, cleared layers, the next pieces and the hold slot.
+///
+/// The HUD is drawn into an offscreen 2D canvas, which index.html copies into a texture
+/// and draws on top of the scene. It is only redrawn when something that it shows changed.
+import { TETROMINO_SHAPES } from "./tower.js";
+import { GameState } from "./state.js";
+export { Hud, };
+/// Width of the HUD panel in pixels.
+const PANEL_WIDTH = 224;
+/// Padding around the contents of the panel in pixels.
+const PADDING = 16;
+/// Height of a box that shows a single piece in pixels.
+const PIECE_BOX_HEIGHT = 56;
+/// Edge length of a block in a piece box in pixels.
+const BLOCK_SIZE = 14;
+/// Height of a line of labels and values in pixels.
+const LINE_HEIGHT = 28;
+/// Fonts of labels, values and the status message.
+const LABEL_FONT = "bold 13px sans-serif";
+const VALUE_FONT = "bold 22px sans-serif";
+const STATUS_FONT = "bold 18px sans-serif";
+/// Draws the HUD panel into its own canvas.
+class Hud {
+    /// The 2D context of the canvas that the HUD is drawn into.
+    ctx;
+    /// RGB colors (0-1) of the pieces by tetromino type.
+    pieceColors;
+    /// Everything that the HUD showed when it was last drawn, see `_contentsOf`.
+    _contents = null;
+    /// @param options HUD options:
+    ///  - `pieceColors`: RGB colors (0-1) of the pieces by tetromino type.
+    ///  - `previewLength`: Number of upcoming pieces to show, defaults to 3.
+    constructor(options) {
+        this.pieceColors = options.pieceColors;
+        const previewLength = options.previewLength ?? 3;
+        const height = PADDING * 2 + LINE_HEIGHT * 8 + PIECE_BOX_HEIGHT * (previewLength + 1);
+        const canvas = new OffscreenCanvas(PANEL_WIDTH, height);
+        const ctx = canvas.getContext("2d");
+        if (ctx === null) {
+            throw new Error("Failed to create the 2D context of the HUD.");
+        }
+        this.ctx = ctx;
+    }
+    /// Width of the panel in pixels.
+    get width() {
+        return this.ctx.canvas.width;
+    }
+    /// Height of the panel in pixels.
+    get height() {
+        return this.ctx.canvas.height;
+    }
+    /// Redraws the HUD if anything that it shows has changed since the last time.
+    /// @param score The score of the current game.
+    /// @param queue The upcoming pieces and the hold slot.
+    /// @param game The game state machine.
+    /// @param isReplay Whether the current game is a replay.
+    /// @returns True if the HUD was redrawn.
+    update(score, queue, game, isReplay) {
+        const contents = Hud._contentsOf(score, queue, game, isReplay);
+        if (contents === this._contents) {
+            return false;
+        }
+        this._contents = contents;
+        this._draw(score, queue, game, isReplay);
+        return true;
+    }
+    /// @returns A string that changes whenever anything shown on the HUD changes.
+    static _contentsOf(score, queue, game, isReplay) {
+        return [
+            score.score, score.level, score.layers,
+            queue.preview.join(""), queue.held, queue.canHold,
+            game.state, game.countdown, isReplay,
+        ].join("|");
+    }
+    _draw(score, queue, game, isReplay) {
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, this.width, this.height);
+        ctx.fillStyle = "rgba(0, 0, 0, 0.45)";
+        ctx.fillRect(0, 0, this.width, this.height);
+        ctx.textBaseline = "top";
+
+        let y = PADDING;
+        this._drawValue("SCORE", score.score.toLocaleString("en-US"), PADDING, y);
+        y += LINE_HEIGHT * 2;
+        this._drawValue("LEVEL", `${score.level}`, PADDING, y);
+        this._drawValue("LAYERS", `${score.layers}`, PANEL_WIDTH / 2, y);
+        y += LINE_HEIGHT * 2;
+
+        this._drawLabel("HOLD", PADDING, y);
+        y += LINE_HEIGHT;
+        if (queue.held !== null) {
+            this._drawPiece(queue.held, y, queue.canHold ? 1.0 : 0.35);
+        }
+        y += PIECE_BOX_HEIGHT;
+
+        this._drawLabel("NEXT", PADDING, y);
+        y += LINE_HEIGHT;
+        for (const type of queue.preview) {
+            this._drawPiece(type, y, 1.0);
+            y += PIECE_BOX_HEIGHT;
+        }
+
+        const status = Hud._statusOf(game, isReplay);
+        if (status !== "") {
+            ctx.font = STATUS_FONT;
+            ctx.fillStyle = "white";
+            ctx.textAlign = "center";
+            ctx.fillText(status, PANEL_WIDTH / 2, y + (LINE_HEIGHT * 2 - 18) / 2);
+            ctx.textAlign = "left";
+        }
+    }
+    /// @returns The message that describes the current game state, if any.
+    static _statusOf(game, isReplay) {
+        switch (game.state) {
+            case GameState.TITLE: return "Press Enter to start";
+            case GameState.COUNTDOWN: return `${game.countdown}`;
+            case GameState.PLAYING: return isReplay ? "Replay" : "";
+            case GameState.PAUSED: return "Paused";
+            case GameState.GAME_OVER: return "Game Over";
+            default: return "";
+        }
+    }
+    _drawLabel(label, x, y) {
+        this.ctx.font = LABEL_FONT;
+        this.ctx.fillStyle = "rgba(255, 255, 255, 0.7)";
+        this.ctx.fillText(label, x, y + 8);
+    }
+    _drawValue(label, value, x, y) {
+        this._drawLabel(label, x, y);
+        this.ctx.font = VALUE_FONT;
+        this.ctx.fillStyle = "white";
+        this.ctx.fillText(value, x, y + LINE_HEIGHT);
+    }
+    /// Draws the top view of a piece, centered in a piece box.
+    /// @param type Tetromino type of the piece.
+    /// @param y Top of the piece box.
+    /// @param alpha Opacity of the piece.
+    _drawPiece(type, y, alpha) {
+        const cells = TETROMINO_SHAPES[type];
+        const xs = cells.map(([x]) => x);
+        const zs = cells.map(([, , z]) => z);
+        const minX = Math.min(...xs);
+        const minZ = Math.min(...zs);
+        const width = (Math.max(...xs) - minX + 1) * BLOCK_SIZE;
+        const depth = (Math.max(...zs) - minZ + 1) * BLOCK_SIZE;
+        const left = (PANEL_WIDTH - width) / 2;
+        const top = y + (PIECE_BOX_HEIGHT - depth) / 2;
+        const [r, g, b] = this.pieceColors[type].map((channel) => Math.round(channel * 255));
+
+        const ctx = this.ctx;
+        ctx.globalAlpha = alpha;
+        ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+        ctx.strokeStyle = "rgba(0, 0, 0, 0.6)";
+        ctx.lineWidth = 2;
+        for (const [x, , z] of cells) {
+            const blockX = left + (x - minX) * BLOCK_SIZE;
+            const blockY = top + (z - minZ) * BLOCK_SIZE;
+            ctx.fillRect(blockX, blockY, BLOCK_SIZE, BLOCK_SIZE);
+            ctx.strokeRect(blockX + 1, blockY + 1, BLOCK_SIZE - 2, BLOCK_SIZE - 2);
+        }
+        ctx.globalAlpha = 1.0;
+    }
+}
@@ -0,0 +1,485 @@
+/// @module game/input
+/// @desc Maps physical keys, mouse buttons and the mouse wheel to named actions.
+///
+/// Inputs are identified by strings:
+///  - Keys by their `KeyboardEvent.code`, like "KeyA" or "Space", which does not depend
+///    on the keyboard layout or caps lock.
+///  - Mouse buttons as "Mouse0" (left), "Mouse1" (middle) and "Mouse2" (right).
+///  - Wheel steps as "WheelUp" and "WheelDown", which are pressed but never held.
+///  - Touch gestures on the element: "Tap", the swipes "SwipeLeft", "SwipeRight",
+///    "SwipeUp" and "SwipeDown", which are pressed but never held, and "TouchDrag",
+///    which is held while a single finger drags. Two fingers pinch, see `pinchScale`.
+///  - On-screen buttons by the input name they were attached with, see `attachButton`.
+///  - Gamepad buttons by their name in the standard layout, like "PadA" or "PadLT",
+///    see `GAMEPAD_BUTTONS`, and the directions of the sticks like "PadLeftStickUp",
+///    see `GAMEPAD_STICKS`. Inputs of all connected gamepads are merged.
+///
+/// Held inputs repeat after a delay (DAS, the delayed auto shift) in a fixed interval
+/// (ARR, the auto repeat rate). The auto-repeat of the keyboard itself is ignored, so
+/// that keys and gamepads repeat the same way.
+export { DEFAULT_BINDINGS, GAMEPAD_BUTTONS, GAMEPAD_STICKS, InputMap, };
+/// Names of the buttons of a gamepad with the standard layout, by button index.
+const GAMEPAD_BUTTONS = [
+    "PadA", "PadB", "PadX", "PadY",
+    "PadLB", "PadRB", "PadLT", "PadRT",
+    "PadBack", "PadStart", "PadLS", "PadRS",
+    "PadUp", "PadDown", "PadLeft", "PadRight",
+    "PadHome",
+];
+/// Names of the stick directions as [negative, positive] pairs, by axis index.
+const GAMEPAD_STICKS = [
+    ["PadLeftStickLeft", "PadLeftStickRight"],
+    ["PadLeftStickUp", "PadLeftStickDown"],
+    ["PadRightStickLeft", "PadRightStickRight"],
+    ["PadRightStickUp", "PadRightStickDown"],
+];
+/// The inputs bound to each action by default.
+/// Every key belongs to a single action. The gamepad has too few buttons for that, so
+/// PadA both confirms and rotates the piece, and the game consumes the press when it
+/// confirms, see `InputMap.consume`.
+const DEFAULT_BINDINGS = Object.freeze({
+    // active piece
+    moveLeft: ["KeyA", "PadLeftStickLeft", "PadLeft", "SwipeLeft"],
+    moveRight: ["KeyD", "PadLeftStickRight", "PadRight", "SwipeRight"],
+    moveForward: ["KeyW", "PadLeftStickUp", "PadUp", "SwipeUp"],
+    moveBack: ["KeyS", "PadLeftStickDown", "PadDown", "SwipeDown"],
+    softDrop: ["KeyX", "PadLT", "TouchSoftDrop"],
+    hardDrop: ["Space", "PadRT", "TouchHardDrop"],
+    hold: ["KeyC", "PadBack", "TouchHold"],
+    "rotateX+": ["KeyI", "PadY", "TouchRotateX+"],
+    "rotateX-": ["KeyK", "PadA", "TouchRotateX-"],
+    "rotateY+": ["KeyJ", "PadX", "TouchRotateY+"],
+    "rotateY-": ["KeyL", "PadB", "TouchRotateY-"],
+    "rotateZ+": ["KeyU", "PadLB", "TouchRotateZ+"],
+    "rotateZ-": ["KeyM", "PadRB", "TouchRotateZ-"],
+    // game flow
+    pause: ["Escape", "PadStart", "TouchPause"],
+    confirm: ["Enter", "NumpadEnter", "PadA", "Tap"],
+    restart: ["KeyR"],
+    quit: ["KeyQ"],
+    watchReplay: ["KeyV"],
+    saveReplay: ["KeyB"],
+    openReplay: ["KeyO"],
+    // camera
+    cameraOrbit: ["Mouse0", "Mouse2", "TouchDrag"],
+    orbitLeft: ["PadRightStickLeft"],
+    orbitRight: ["PadRightStickRight"],
+    orbitUp: ["PadRightStickUp"],
+    orbitDown: ["PadRightStickDown"],
+    zoomIn: ["WheelUp"],
+    zoomOut: ["WheelDown"],
+    cameraMode: ["KeyF", "PadLS", "TouchCameraMode"],
+    cameraSnap: ["KeyE", "PadRS"],
+    // graphics
+    shadowMode: ["KeyG"],
+    shadowLight: ["KeyH"],
+});
+/// Collects the input events between two frames and answers queries about actions.
+/// Call `update` once at the start and `endFrame` once at the end of every frame.
+class InputMap {
+    /// Mouse or finger movement in pixels since the last frame.
+    pointerDelta = { x: 0, y: 0 };
+    /// Factor by which the distance between two fingers changed since the last frame.
+    pinchScale = 1;
+    /// Stick deflections below this value (0-1) are ignored.
+    deadZone;
+    /// Trigger values (0-1) above which a trigger counts as pressed.
+    triggerThreshold;
+    /// Milliseconds that an input must be held before it starts to repeat (DAS).
+    repeatDelay;
+    /// Milliseconds between two repeats of a held input (ARR).
+    repeatInterval;
+    /// Pixels that a finger must travel for a swipe.
+    swipeDistance;
+    /// Milliseconds that a swipe may take at most, longer gestures drag.
+    swipeDuration;
+    /// The inputs bound to each action.
+    _bindings;
+    /// Key in localStorage under which the bindings are saved, null to not persist them.
+    _storageKey;
+    /// Milliseconds that each input has been held down for.
+    _held = new Map();
+    /// Analog value (0-1) of each held gamepad input, keys and buttons are always 1.
+    _values = new Map();
+    /// Number of times that each input was pressed since the last frame.
+    _pressed = new Map();
+    /// Number of times that each input was repeated since the last frame.
+    _repeated = new Map();
+    /// The action waiting for its next input to be bound, see `captureNext`.
+    _capture = null;
+    /// Position of every finger on the element by pointer id.
+    _touches = new Map();
+    /// The single-finger gesture in progress, null if there is none or it was cancelled
+    /// by a second finger. Movement is held back until the gesture turns into a drag.
+    _gesture = null;
+    /// @param element The element that receives mouse events, usually the canvas.
+    /// @param options Input options:
+    ///  - `bindings`: Bindings to use instead of the defaults.
+    ///  - `storageKey`: Key in localStorage to save the bindings under, or null to
+    ///    not persist them. Defaults to "glance-tower-bindings".
+    ///  - `deadZone`: Stick dead zone (0-1), defaults to 0.3.
+    ///  - `triggerThreshold`: Trigger threshold (0-1), defaults to 0.5.
+    ///  - `repeatDelay`: DAS in milliseconds, defaults to 170.
+    ///  - `repeatInterval`: ARR in milliseconds, defaults to 50.
+    ///  - `swipeDistance`: Minimum distance of a swipe in pixels, defaults to 30.
+    ///  - `swipeDuration`: Maximum duration of a swipe in milliseconds, defaults to 250.
+    constructor(element, options = {}) {
+        this._storageKey = options.storageKey === undefined ? "glance-tower-bindings" : options.storageKey;
+        this.deadZone = options.deadZone ?? 0.3;
+        this.triggerThreshold = options.triggerThreshold ?? 0.5;
+        this.repeatDelay = options.repeatDelay ?? 170;
+        this.repeatInterval = options.repeatInterval ?? 50;
+        if (!(this.repeatInterval > 0)) {
+            throw new Error(`Invalid repeat interval: ${this.repeatInterval}.`);
+        }
+        this.swipeDistance = options.swipeDistance ?? 30;
+        this.swipeDuration = options.swipeDuration ?? 250;
+        this._bindings = InputMap._copyBindings(options.bindings ?? DEFAULT_BINDINGS);
+        this._load();
+        window.addEventListener("keydown", (e) => {
+            if (this._press(e.code, e.repeat)) {
+                e.preventDefault();
+            }
+        });
+        window.addEventListener("keyup", (e) => this._release(e.code));
+        window.addEventListener("blur", () => {
+            this._held.clear();
+            this._values.clear();
+        });
+        element.addEventListener("pointerdown", (e) => {
+            element.setPointerCapture(e.pointerId);
+            if (e.pointerType === "mouse") {
+                this._press(`Mouse${e.button}`, false);
+            } else {
+                this._touchDown(e);
+            }
+        });
+        element.addEventListener("pointermove", (e) => {
+            if (e.pointerType === "mouse") {
+                this.pointerDelta.x += e.movementX;
+                this.pointerDelta.y += e.movementY;
+            } else {
+                this._touchMove(e);
+            }
+        });
+        const pointerUp = (e) => {
+            if (e.pointerType === "mouse") {
+                this._release(`Mouse${e.button}`);
+            } else {
+                this._touchUp(e);
+            }
+        };
+        element.addEventListener("pointerup", pointerUp);
+        element.addEventListener("pointercancel", pointerUp);
+        element.addEventListener("wheel", (e) => {
+            e.preventDefault();
+            if (e.deltaY !== 0) {
+                this._tap(e.deltaY < 0 ? "WheelUp" : "WheelDown");
+            }
+        });
+        element.addEventListener("contextmenu", (e) => e.preventDefault());
+    }
+    // Queries -----------------------------------------------------------------
+    /// @returns True if any input bound to the action is held down.
+    isHeld(action) {
+        return this._inputsOf(action).some((input) => this._held.has(input));
+    }
+    /// @returns The strongest analog value (0-1) of the inputs bound to the action.
+    /// Sticks report how far they are deflected beyond the dead zone, all other inputs
+    /// are either 0 or 1.
+    value(action) {
+        let value = 0;
+        for (const input of this._inputsOf(action)) {
+            value = Math.max(value, this._values.get(input) ?? 0);
+        }
+        return value;
+    }
+    /// @returns True if any input bound to the action was pressed since the last frame.
+    /// @param includeRepeats Whether repeats of held inputs count as presses, defaults to false.
+    wasPressed(action, includeRepeats = false) {
+        return this.pressCount(action, includeRepeats) > 0;
+    }
+    /// @returns How often the inputs bound to the action were pressed since the last frame.
+    /// @param includeRepeats Whether repeats of held inputs count as presses, defaults to false.
+    pressCount(action, includeRepeats = false) {
+        let count = 0;
+        for (const input of this._inputsOf(action)) {
+            count += this._pressed.get(input) ?? 0;
+            if (includeRepeats) {
+                count += this._repeated.get(input) ?? 0;
+            }
+        }
+        return count;
+    }
+    /// Forgets the presses and repeats of all inputs bound to the action since the last
+    /// frame, so that other actions bound to the same inputs do not react to them as well.
+    consume(action) {
+        for (const input of this._inputsOf(action)) {
+            this._pressed.delete(input);
+            this._repeated.delete(input);
+        }
+    }
+    /// Polls the gamepads and repeats held inputs.
+    /// @param deltaTime Milliseconds since the last frame.
+    update(deltaTime) {
+        this._pollGamepads();
+        for (const [input, heldTime] of this._held) {
+            // Inputs pressed during this frame start to count from the next one.
+            if (this._pressed.has(input)) {
+                continue;
+            }
+            const newTime = heldTime + deltaTime;
+            const repeats = this._repeatsUntil(newTime) - this._repeatsUntil(heldTime);
+            if (repeats > 0) {
+                this._repeated.set(input, (this._repeated.get(input) ?? 0) + repeats);
+            }
+            this._held.set(input, newTime);
+        }
+    }
+    /// Forgets all presses and pointer movement of this frame.
+    endFrame() {
+        this._pressed.clear();
+        this._repeated.clear();
+        this.pointerDelta.x = 0;
+        this.pointerDelta.y = 0;
+        this.pinchScale = 1;
+    }
+    /// Turns an element into an on-screen button that holds the given input while it
+    /// is touched or clicked. Bind the input to an action like any other input.
+    attachButton(element, input) {
+        element.addEventListener("pointerdown", (e) => {
+            e.preventDefault();
+            element.setPointerCapture(e.pointerId);
+            this._press(input, false);
+        });
+        element.addEventListener("pointerup", () => this._release(input));
+        element.addEventListener("pointercancel", () => this._release(input));
+        element.addEventListener("contextmenu", (e) => e.preventDefault());
+    }
+    // Bindings ----------------------------------------------------------------
+    /// A copy of the current bindings.
+    get bindings() {
+        return InputMap._copyBindings(this._bindings);
+    }
+    /// @returns The inputs bound to the given action.
+    getBinding(action) {
+        return [...this._inputsOf(action)];
+    }
+    /// Replaces the inputs bound to an action.
+    /// @param action Name of the action.
+    /// @param inputs The new inputs, an empty array unbinds the action.
+    bind(action, inputs) {
+        if (!Array.isArray(inputs) || !inputs.every((input) => typeof input === "string")) {
+            throw new Error(`Invalid inputs for action "${action}": ${JSON.stringify(inputs)}.`);
+        }
+        this._bindings[action] = [...inputs];
+        this._save();
+    }
+    /// Binds the next pressed key or mouse button to the given action, replacing its inputs.
+    /// The captured press does not trigger any other action. Escape cancels the capture.
+    /// @returns A promise that resolves with the captured input, or null if cancelled.
+    captureNext(action) {
+        this._capture?.resolve(null);
+        return new Promise((resolve) => {
+            this._capture = { action, resolve };
+        });
+    }
+    /// Restores the default bindings.
+    resetBindings() {
+        this._bindings = InputMap._copyBindings(DEFAULT_BINDINGS);
+        this._save();
+    }
+    // Internals ---------------------------------------------------------------
+    _inputsOf(action) {
+        return this._bindings[action] ?? [];
+    }
+    /// Registers a press of the given input.
+    /// @returns True if the input is bound to any action.
+    /// @param repeat Whether this is an auto-repeat of the keyboard, which is ignored.
+    _press(input, repeat) {
+        if (this._capture !== null && !repeat) {
+            const { action, resolve } = this._capture;
+            this._capture = null;
+            // The captured input is held, but it neither presses nor repeats anything.
+            this._held.set(input, -Infinity);
+            if (input === "Escape") {
+                resolve(null);
+            } else {
+                this.bind(action, [input]);
+                resolve(input);
+            }
+            return true;
+        }
+        if (!repeat) {
+            this._pressed.set(input, (this._pressed.get(input) ?? 0) + 1);
+            this._held.set(input, 0);
+            this._values.set(input, 1);
+        }
+        return Object.values(this._bindings).some((inputs) => inputs.includes(input));
+    }
+    _release(input) {
+        this._held.delete(input);
+        this._values.delete(input);
+    }
+    /// Registers an input that is pressed and released at once.
+    _tap(input) {
+        this._press(input, false);
+        this._release(input);
+    }
+    _touchDown(e) {
+        this._touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (this._touches.size === 1) {
+            this._gesture = {
+                startX: e.clientX,
+                startY: e.clientY,
+                startTime: e.timeStamp,
+                heldX: 0,
+                heldY: 0,
+                isDrag: false,
+            };
+        } else if (this._gesture !== null) {
+            // A second finger turns the gesture into a pinch.
+            if (this._gesture.isDrag) {
+                this._release("TouchDrag");
+            }
+            this._gesture = null;
+        }
+    }
+    _touchMove(e) {
+        const touch = this._touches.get(e.pointerId);
+        if (touch === undefined) {
+            return;
+        }
+        const dx = e.clientX - touch.x;
+        const dy = e.clientY - touch.y;
+        if (this._touches.size === 2) {
+            const [a, b] = [...this._touches.values()];
+            const before = Math.hypot(a.x - b.x, a.y - b.y);
+            touch.x = e.clientX;
+            touch.y = e.clientY;
+            const after = Math.hypot(a.x - b.x, a.y - b.y);
+            if (before > 0 && after > 0) {
+                this.pinchScale *= after / before;
+            }
+            return;
+        }
+        touch.x = e.clientX;
+        touch.y = e.clientY;
+        const gesture = this._gesture;
+        if (gesture === null) {
+            return;
+        }
+        if (gesture.isDrag) {
+            this.pointerDelta.x += dx;
+            this.pointerDelta.y += dy;
+            return;
+        }
+        gesture.heldX += dx;
+        gesture.heldY += dy;
+        if (e.timeStamp - gesture.startTime > this.swipeDuration) {
+            gesture.isDrag = true;
+            this._press("TouchDrag", false);
+            this.pointerDelta.x += gesture.heldX;
+            this.pointerDelta.y += gesture.heldY;
+        }
+    }
+    _touchUp(e) {
+        if (!this._touches.delete(e.pointerId)) {
+            return;
+        }
+        const gesture = this._gesture;
+        if (this._touches.size > 0 || gesture === null) {
+            return;
+        }
+        this._gesture = null;
+        if (gesture.isDrag) {
+            this._release("TouchDrag");
+            return;
+        }
+        const dx = e.clientX - gesture.startX;
+        const dy = e.clientY - gesture.startY;
+        if (Math.hypot(dx, dy) < this.swipeDistance) {
+            this._tap("Tap");
+        } else if (Math.abs(dx) > Math.abs(dy)) {
+            this._tap(dx < 0 ? "SwipeLeft" : "SwipeRight");
+        } else {
+            this._tap(dy < 0 ? "SwipeUp" : "SwipeDown");
+        }
+    }
+    /// @returns The number of repeats of an input that was held for the given time.
+    _repeatsUntil(heldTime) {
+        if (heldTime < this.repeatDelay) {
+            return 0;
+        }
+        return Math.floor((heldTime - this.repeatDelay) / this.repeatInterval) + 1;
+    }
+    /// Turns the state of all connected gamepads into presses and releases.
+    _pollGamepads() {
+        const values = new Map();
+        const setValue = (input, value) => values.set(input, Math.max(values.get(input) ?? 0, value));
+        for (const gamepad of navigator.getGamepads?.() ?? []) {
+            if (!gamepad?.connected) {
+                continue;
+            }
+            gamepad.buttons.forEach((button, index) => {
+                const name = GAMEPAD_BUTTONS[index] ?? `PadButton${index}`;
+                const isTrigger = name === "PadLT" || name === "PadRT";
+                if (isTrigger ? button.value >= this.triggerThreshold : button.pressed) {
+                    setValue(name, 1);
+                }
+            });
+            gamepad.axes.forEach((axis, index) => {
+                const [negative, positive] = GAMEPAD_STICKS[index] ?? [`PadAxis${index}-`, `PadAxis${index}+`];
+                const magnitude = Math.abs(axis);
+                if (magnitude > this.deadZone) {
+                    setValue(axis < 0 ? negative : positive, (magnitude - this.deadZone) / (1 - this.deadZone));
+                }
+            });
+        }
+        for (const input of this._held.keys()) {
+            if (input.startsWith("Pad") && !values.has(input)) {
+                this._release(input);
+            }
+        }
+        for (const [input, value] of values) {
+            if (!this._held.has(input)) {
+                this._press(input, false);
+            }
+            this._values.set(input, value);
+        }
+    }
+    _load() {
+        if (this._storageKey === null) {
+            return;
+        }
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(this._storageKey) ?? "null");
+            if (stored === null || typeof stored !== "object") {
+                return;
+            }
+            for (const [action, inputs] of Object.entries(stored)) {
+                if (Array.isArray(inputs) && inputs.every((input) => typeof input === "string")) {
+                    this._bindings[action] = inputs;
+                }
+            }
+        } catch (error) {
+            console.warn(`Ignoring invalid stored input bindings: ${error}`);
+        }
+    }
+    _save() {
+        if (this._storageKey === null) {
+            return;
+        }
+        try {
+            // Only store the changed bindings, so that new default bindings still apply.
+            const changed = Object.fromEntries(Object.entries(this._bindings).filter(([action, inputs]) =>
+                JSON.stringify(inputs) !== JSON.stringify(DEFAULT_BINDINGS[action])));
+            window.localStorage.setItem(this._storageKey, JSON.stringify(changed));
+        } catch (error) {
+            console.warn(`Failed to store input bindings: ${error}`);
+        }
+    }
+    static _copyBindings(bindings) {
+        return Object.fromEntries(Object.entries(bindings).map(([action, inputs]) => [action, [...inputs]]));
+    }
+}
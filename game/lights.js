@@ -0,0 +1,156 @@
+/// @module game/lights
+/// @desc Directional, point and spot lights, packed into the uniform arrays of the scene shaders.
+///
+/// Every light occupies one slot of four `vec4` arrays, see `LightList.update`. Shadows
+/// need shadow maps, of which there is one set of cascades for directional lights and
+/// one cube map for point and spot lights. So only the first shadow-casting light of
+/// each kind casts a shadow, all further ones are lit without.
+import { Vec3 } from "../glance/js/math/Vec3.js";
+export { LightType, Light, LightList, MAX_LIGHTS, };
+/// All kinds of lights.
+const LightType = Object.freeze({
+    /// Infinitely far away light, like the sun, which shines in the same direction everywhere.
+    DIRECTIONAL: "directional",
+    /// Light that shines in all directions from a position, like a bulb.
+    POINT: "point",
+    /// Point light that only shines into a cone, like a flashlight.
+    SPOT: "spot",
+});
+/// The number that the shaders use for every light type, in the w component of the position.
+const TYPE_IDS = Object.freeze({
+    [LightType.DIRECTIONAL]: 0,
+    [LightType.POINT]: 1,
+    [LightType.SPOT]: 2,
+});
+/// Size of the uniform arrays, the largest number of lights that a shader can handle.
+const MAX_LIGHTS = 8;
+/// A single light source.
+class Light {
+    /// One of `LightType`.
+    type;
+    /// Position of point and spot lights, the direction towards a directional light.
+    position;
+    /// Direction into which a spot light shines.
+    direction;
+    /// RGB color (0-1) of the light.
+    color;
+    /// Factor on the color.
+    intensity;
+    /// Constant, linear and quadratic attenuation over the distance of point and spot lights.
+    attenuation;
+    /// Angles in radians between the axis of a spot light and the edges of its cone.
+    /// The light fades out between the inner and the outer angle.
+    innerAngle;
+    outerAngle;
+    /// Whether the light casts shadows, see the module description.
+    castsShadow;
+    /// @param options Light options:
+    ///  - `type`: One of `LightType`, defaults to `LightType.POINT`.
+    ///  - `position`: Defaults to the origin.
+    ///  - `direction`: Defaults to straight down.
+    ///  - `color`: Defaults to white.
+    ///  - `intensity`: Defaults to 1.
+    ///  - `attenuation`: Defaults to [1, 0, 0], which does not attenuate at all.
+    ///  - `innerAngle`, `outerAngle`: Default to 20 and 30 degrees.
+    ///  - `castsShadow`: Defaults to false.
+    constructor(options = {}) {
+        this.type = options.type ?? LightType.POINT;
+        if (!(this.type in TYPE_IDS)) {
+            throw new Error(`Invalid light type: ${this.type}.`);
+        }
+        this.position = (options.position ?? Vec3.zero()).clone();
+        this.direction = (options.direction ?? new Vec3(0, -1, 0)).clone();
+        this.color = options.color ?? [1, 1, 1];
+        this.intensity = options.intensity ?? 1;
+        this.attenuation = options.attenuation ?? [1, 0, 0];
+        this.innerAngle = options.innerAngle ?? Math.PI / 9;
+        this.outerAngle = options.outerAngle ?? Math.PI / 6;
+        this.castsShadow = options.castsShadow ?? false;
+    }
+}
+/// All lights of the scene and their uniform data.
+class LightList {
+    /// The lights, in the order of their uniform slots.
+    lights = [];
+    /// Uniform data of all lights, updated by `update`:
+    ///  - `positions`: xyz position (direction for directional lights), w type.
+    ///  - `colors`: rgb color, w intensity.
+    ///  - `directions`: xyz spot direction, w cosine of the outer angle.
+    ///  - `attenuations`: constant, linear and quadratic attenuation, w cosine of the inner angle.
+    positions = new Float32Array(MAX_LIGHTS * 4);
+    colors = new Float32Array(MAX_LIGHTS * 4);
+    directions = new Float32Array(MAX_LIGHTS * 4);
+    attenuations = new Float32Array(MAX_LIGHTS * 4);
+    /// Index of the light that casts shadows with the cascades, or -1.
+    directionalShadowIndex = -1;
+    /// Index of the point or spot light that casts shadows with the cube map, or -1.
+    pointShadowIndex = -1;
+    /// Number of lights in the list.
+    get count() {
+        return this.lights.length;
+    }
+    /// The light that casts shadows with the cascades, if any.
+    get directionalShadowCaster() {
+        return this.lights[this.directionalShadowIndex] ?? null;
+    }
+    /// The point or spot light that casts shadows with the cube map, if any.
+    get pointShadowCaster() {
+        return this.lights[this.pointShadowIndex] ?? null;
+    }
+    /// Adds a light to the list.
+    /// @param light The light to add, or the options of a new light.
+    /// @returns The added light.
+    add(light) {
+        if (this.lights.length >= MAX_LIGHTS) {
+            throw new Error(`Cannot add more than ${MAX_LIGHTS} lights.`);
+        }
+        if (!(light instanceof Light)) {
+            light = new Light(light);
+        }
+        this.lights.push(light);
+        return light;
+    }
+    /// Removes a light from the list.
+    /// @returns True if the light was in the list.
+    remove(light) {
+        const index = this.lights.indexOf(light);
+        if (index < 0) {
+            return false;
+        }
+        this.lights.splice(index, 1);
+        return true;
+    }
+    /// Copies all lights into the uniform data and picks the shadow-casting lights.
+    /// Call this once per frame after changing any light.
+    update() {
+        this.directionalShadowIndex = -1;
+        this.pointShadowIndex = -1;
+        for (let i = 0; i < this.lights.length; ++i) {
+            const light = this.lights[i];
+            const offset = i * 4;
+            this.positions[offset] = light.position.x;
+            this.positions[offset + 1] = light.position.y;
+            this.positions[offset + 2] = light.position.z;
+            this.positions[offset + 3] = TYPE_IDS[light.type];
+            this.colors.set(light.color, offset);
+            this.colors[offset + 3] = light.intensity;
+            this.directions[offset] = light.direction.x;
+            this.directions[offset + 1] = light.direction.y;
+            this.directions[offset + 2] = light.direction.z;
+            this.directions[offset + 3] = Math.cos(light.outerAngle);
+            this.attenuations.set(light.attenuation, offset);
+            this.attenuations[offset + 3] = Math.cos(light.innerAngle);
+
+            if (!light.castsShadow) {
+                continue;
+            }
+            if (light.type === LightType.DIRECTIONAL) {
+                if (this.directionalShadowIndex < 0) {
+                    this.directionalShadowIndex = i;
+                }
+            } else if (this.pointShadowIndex < 0) {
+                this.pointShadowIndex = i;
+            }
+        }
+    }
+}
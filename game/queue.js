@@ -0,0 +1,104 @@
+/// @module game/queue
+/// @desc Piece selection: a seeded 7-bag randomizer, the preview queue and the hold slot.
+import { mulberry32 } from "../glance/js/math/noise.js";
+import { TETROMINO_TYPES } from "./tower.js";
+export { SevenBag, PieceQueue, };
+/// @returns A random unsigned 32-bit seed.
+function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+/// Deals the seven tetrominoes in shuffled bags, so that every piece appears
+/// once per seven pieces. The same seed always produces the same sequence.
+class SevenBag {
+    /// Seed of the random number generator.
+    seed;
+    /// The random number generator.
+    _random;
+    /// Remaining pieces of the current bag, dealt from the end.
+    _bag = [];
+    /// @param seed Seed for the random number generator, an unsigned 32-bit integer.
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this._random = mulberry32(this.seed);
+    }
+    /// @returns The next piece type.
+    next() {
+        if (this._bag.length === 0) {
+            // Fisher-Yates shuffle
+            this._bag = [...TETROMINO_TYPES];
+            for (let i = this._bag.length - 1; i > 0; --i) {
+                const j = Math.floor(this._random() * (i + 1));
+                [this._bag[i], this._bag[j]] = [this._bag[j], this._bag[i]];
+            }
+        }
+        return this._bag.pop();
+    }
+}
+/// The pieces that come next and the piece put aside in the hold slot.
+class PieceQueue {
+    /// Number of upcoming pieces that are visible to the player.
+    previewLength;
+    /// Piece type in the hold slot or null if it is empty.
+    held = null;
+    /// Whether the active piece may still be swapped with the hold slot.
+    /// Holding is allowed once per piece, until the next piece is dealt.
+    canHold = true;
+    /// The randomizer that deals the pieces.
+    _bag;
+    /// The upcoming pieces, the first one is next.
+    _preview = [];
+    /// @param seed Seed of the randomizer, defaults to a random one.
+    /// @param previewLength Number of upcoming pieces to show, defaults to 3.
+    constructor(seed, previewLength = 3) {
+        if (!Number.isSafeInteger(previewLength) || previewLength < 1) {
+            throw new Error(`Invalid preview length: ${previewLength}.`);
+        }
+        this.previewLength = previewLength;
+        this.reset(seed);
+    }
+    /// Seed of the randomizer.
+    get seed() {
+        return this._bag.seed;
+    }
+    /// The upcoming piece types, the first one is next.
+    get preview() {
+        return this._preview;
+    }
+    /// Starts over with a fresh randomizer and an empty hold slot.
+    /// @param seed Seed of the new randomizer, defaults to the current one, or to a random
+    /// one if there is none yet.
+    reset(seed) {
+        if (seed === undefined) {
+            seed = this._bag === undefined ? randomSeed() : this.seed;
+        }
+        this._bag = new SevenBag(seed);
+        this._preview = [];
+        while (this._preview.length < this.previewLength) {
+            this._preview.push(this._bag.next());
+        }
+        this.held = null;
+        this.canHold = true;
+    }
+    /// Deals the next piece and allows holding again.
+    /// @returns The type of the dealt piece.
+    next() {
+        const type = this._preview.shift();
+        this._preview.push(this._bag.next());
+        this.canHold = true;
+        return type;
+    }
+    /// Puts the active piece into the hold slot.
+    /// @param type Type of the active piece.
+    /// @returns The type of the piece to continue with, which is the previously held piece
+    /// or the next one if the hold slot was empty. Null if holding is not allowed right now.
+    hold(type) {
+        if (!this.canHold) {
+            return null;
+        }
+        const previous = this.held;
+        this.held = type;
+        const result = previous ?? this.next();
+        this.canHold = false;
+        return result;
+    }
+}
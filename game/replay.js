@@ -0,0 +1,122 @@
+/// @module game/replay
+/// @desc Recording and replaying the actions of a game session.
+///
+/// A recording stores the seed of the piece sequence and every game action with the
+/// simulation tick it was applied in. Since the simulation advances in fixed steps,
+/// applying the same actions at the same ticks reproduces the same tower.
+export { Recording, ReplayPlayer, };
+/// Version of the JSON format, increase when it changes.
+const RECORDING_VERSION = 1;
+/// The actions of a single game session.
+class Recording {
+    /// Seed of the piece sequence.
+    seed;
+    /// Duration of a simulation tick in milliseconds.
+    tickDuration;
+    /// All recorded actions as [tick, action] pairs, in the order they were applied.
+    actions = [];
+    /// Number of ticks in the session, null while it is still being recorded.
+    length = null;
+    /// @param seed Seed of the piece sequence.
+    /// @param tickDuration Duration of a simulation tick in milliseconds.
+    constructor(seed, tickDuration) {
+        this.seed = seed;
+        this.tickDuration = tickDuration;
+    }
+    /// Whether the session has ended.
+    get isFinished() {
+        return this.length !== null;
+    }
+    /// Adds an action that was applied in the given tick.
+    record(tick, action) {
+        if (this.isFinished) {
+            throw new Error("Cannot record an action into a finished recording.");
+        }
+        this.actions.push([tick, action]);
+    }
+    /// Ends the session after the given number of ticks.
+    finish(length) {
+        if (!this.isFinished) {
+            this.length = length;
+        }
+    }
+    /// @returns A copy of this recording that is still in progress, so that further
+    /// actions can be recorded after the ones it already holds.
+    extend() {
+        const recording = new Recording(this.seed, this.tickDuration);
+        recording.actions = this.actions.slice();
+        return recording;
+    }
+    /// Called by JSON.stringify.
+    toJSON() {
+        return {
+            version: RECORDING_VERSION,
+            seed: this.seed,
+            tickDuration: this.tickDuration,
+            length: this.length,
+            actions: this.actions,
+        };
+    }
+    /// Restores a recording from its JSON representation.
+    /// @param json JSON string or the parsed object.
+    /// @returns The finished recording.
+    /// @throws If the JSON is not a valid recording.
+    static fromJSON(json) {
+        const data = typeof json === "string" ? JSON.parse(json) : json;
+        if (data?.version !== RECORDING_VERSION) {
+            throw new Error(`Unsupported recording version: ${data?.version}.`);
+        }
+        if (!Number.isSafeInteger(data.seed) || data.seed < 0) {
+            throw new Error(`Invalid recording seed: ${data.seed}.`);
+        }
+        if (typeof data.tickDuration !== "number" || !(data.tickDuration > 0)) {
+            throw new Error(`Invalid recording tick duration: ${data.tickDuration}.`);
+        }
+        if (!Number.isSafeInteger(data.length) || data.length < 0) {
+            throw new Error(`Invalid recording length: ${data.length}.`);
+        }
+        if (!Array.isArray(data.actions)) {
+            throw new Error("Recording actions must be an array.");
+        }
+        const recording = new Recording(data.seed, data.tickDuration);
+        let lastTick = 0;
+        for (const entry of data.actions) {
+            const [tick, action] = Array.isArray(entry) ? entry : [];
+            if (!Number.isSafeInteger(tick) || tick < lastTick || tick > data.length || typeof action !== "string") {
+                throw new Error(`Invalid recorded action: ${JSON.stringify(entry)}.`);
+            }
+            recording.record(tick, action);
+            lastTick = tick;
+        }
+        recording.finish(data.length);
+        return recording;
+    }
+}
+/// Plays back the actions of a finished recording, tick by tick.
+class ReplayPlayer {
+    /// The recording to play back.
+    recording;
+    /// Index of the next action to play back.
+    _cursor = 0;
+    constructor(recording) {
+        if (!recording.isFinished) {
+            throw new Error("Cannot replay a recording that is still in progress.");
+        }
+        this.recording = recording;
+    }
+    /// @returns All actions that were applied in the given tick.
+    /// Ticks must be queried in ascending order.
+    actionsAt(tick) {
+        const actions = [];
+        const recorded = this.recording.actions;
+        while (this._cursor < recorded.length && recorded[this._cursor][0] <= tick) {
+            actions.push(recorded[this._cursor][1]);
+            ++this._cursor;
+        }
+        return actions;
+    }
+    /// @returns True once the given tick is past the end of the recording.
+    isFinished(tick) {
+        return tick >= this.recording.length;
+    }
+}
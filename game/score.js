@@ -0,0 +1,70 @@
+/// @module game/score
+/// @desc Score, level and gravity speed of the tower game.
+export { Score, };
+/// Base points for clearing 1, 2, 3 or 4 layers with a single piece, multiplied by the level.
+const LAYER_POINTS = [0, 100, 300, 500, 800];
+/// Keeps track of the score and derives the level and gravity speed from the cleared layers.
+class Score {
+    /// Points scored so far.
+    score = 0;
+    /// Current level, starting at 1.
+    level = 1;
+    /// Total number of cleared layers.
+    layers = 0;
+    /// Number of consecutive pieces that cleared at least one layer, minus one.
+    /// Is -1 if the last piece did not clear anything.
+    combo = -1;
+    /// Milliseconds until the active piece falls by one cell at level 1.
+    baseInterval;
+    /// Lower bound of the gravity interval in milliseconds.
+    minInterval;
+    /// Factor by which the gravity interval shrinks with every level.
+    intervalFactor;
+    /// Number of layers to clear until the next level.
+    layersPerLevel;
+    /// @param options Score options:
+    ///  - `baseInterval`: Gravity interval at level 1 in milliseconds. Defaults to 800.
+    ///  - `minInterval`: Shortest gravity interval in milliseconds. Defaults to 50.
+    ///  - `intervalFactor`: Gravity interval multiplier per level. Defaults to 0.8.
+    ///  - `layersPerLevel`: Layers to clear per level. Defaults to 4.
+    constructor(options = {}) {
+        this.baseInterval = options.baseInterval ?? 800;
+        this.minInterval = options.minInterval ?? 50;
+        this.intervalFactor = options.intervalFactor ?? 0.8;
+        this.layersPerLevel = options.layersPerLevel ?? 4;
+    }
+    /// Milliseconds until the active piece falls by one cell at the current level.
+    get gravityInterval() {
+        return Math.max(this.minInterval, this.baseInterval * Math.pow(this.intervalFactor, this.level - 1));
+    }
+    /// Starts a new game.
+    reset() {
+        this.score = 0;
+        this.level = 1;
+        this.layers = 0;
+        this.combo = -1;
+    }
+    /// Awards points for moving the active piece down manually.
+    /// @param cells Number of cells that the piece was dropped.
+    /// @param hard Whether it was a hard drop, which is worth twice as much.
+    addDrop(cells, hard) {
+        this.score += cells * (hard ? 2 : 1);
+    }
+    /// Awards points for a locked piece.
+    /// Clearing several layers at once is worth more than clearing them one by one, and
+    /// every consecutive piece that clears a layer adds a combo bonus.
+    /// @param layers Number of layers that the piece cleared.
+    /// @returns The points awarded.
+    addLock(layers) {
+        if (layers === 0) {
+            this.combo = -1;
+            return 0;
+        }
+        this.combo += 1;
+        const points = (LAYER_POINTS[Math.min(layers, LAYER_POINTS.length - 1)] + 50 * this.combo) * this.level;
+        this.score += points;
+        this.layers += layers;
+        this.level = Math.floor(this.layers / this.layersPerLevel) + 1;
+        return points;
+    }
+}
@@ -0,0 +1,124 @@
+/// @module game/state
+/// @desc The state machine that drives the flow of the tower game.
+export { GameState, GameStateMachine, };
+/// All states that the game can be in.
+const GameState = Object.freeze({
+    /// Waiting for the player to start a game.
+    TITLE: "title",
+    /// Counting down before the first piece falls.
+    COUNTDOWN: "countdown",
+    /// Pieces are falling and the player controls the active piece.
+    PLAYING: "playing",
+    /// Everything is frozen until the player resumes.
+    PAUSED: "paused",
+    /// The tower reached the top, waiting for a restart.
+    GAME_OVER: "gameOver",
+});
+/// States that can be reached from each state.
+const TRANSITIONS = {
+    [GameState.TITLE]: [GameState.COUNTDOWN],
+    [GameState.COUNTDOWN]: [GameState.PLAYING, GameState.PAUSED],
+    [GameState.PLAYING]: [GameState.PAUSED, GameState.GAME_OVER],
+    [GameState.PAUSED]: [GameState.COUNTDOWN, GameState.PLAYING, GameState.TITLE],
+    [GameState.GAME_OVER]: [GameState.COUNTDOWN, GameState.TITLE],
+};
+/// Keeps track of the current game state and how long the game has been in it.
+/// Resetting the tower and score on a (re-)start is left to the caller, the
+/// state machine only validates and announces the transitions.
+class GameStateMachine {
+    /// The current state.
+    state = GameState.TITLE;
+    /// Milliseconds spent in the current state.
+    stateTime = 0;
+    /// Duration of the countdown in milliseconds.
+    countdownDuration;
+    /// The state and the time spent in it to return to when the game is resumed.
+    _resumeState = GameState.PLAYING;
+    _resumeTime = 0;
+    /// Callbacks called with (newState, oldState) after every transition.
+    _listeners = [];
+    /// @param options State machine options:
+    ///  - `countdownDuration`: Duration of the countdown in milliseconds. Defaults to 3000.
+    constructor(options = {}) {
+        this.countdownDuration = options.countdownDuration ?? 3000;
+    }
+    /// Whether pieces are falling and the player is in control.
+    get isPlaying() {
+        return this.state === GameState.PLAYING;
+    }
+    /// Whether the game is paused.
+    get isPaused() {
+        return this.state === GameState.PAUSED;
+    }
+    /// Whole seconds left in the countdown, zero outside of it.
+    get countdown() {
+        if (this.state !== GameState.COUNTDOWN) {
+            return 0;
+        }
+        return Math.ceil(Math.max(0, this.countdownDuration - this.stateTime) / 1000);
+    }
+    /// Registers a callback that is called with (newState, oldState) after every transition.
+    onTransition(callback) {
+        this._listeners.push(callback);
+    }
+    /// @returns True if the current state can transition into the given state.
+    canTransition(state) {
+        return TRANSITIONS[this.state].includes(state);
+    }
+    /// Moves into the given state.
+    /// @throws If the transition is not allowed from the current state.
+    transition(state) {
+        if (!this.canTransition(state)) {
+            throw new Error(`Invalid game state transition from "${this.state}" to "${state}".`);
+        }
+        const previous = this.state;
+        this.state = state;
+        this.stateTime = 0;
+        for (const listener of this._listeners) {
+            listener(state, previous);
+        }
+    }
+    /// Starts a new game with a countdown, from the title screen, the pause menu or after a game over.
+    start() {
+        this._resumeState = GameState.PLAYING;
+        this.transition(GameState.COUNTDOWN);
+    }
+    /// Pauses a running game or countdown.
+    /// @returns False if there was nothing to pause.
+    pause() {
+        if (this.state !== GameState.PLAYING && this.state !== GameState.COUNTDOWN) {
+            return false;
+        }
+        this._resumeState = this.state;
+        this._resumeTime = this.stateTime;
+        this.transition(GameState.PAUSED);
+        return true;
+    }
+    /// Resumes a paused game where it left off.
+    /// Time spent paused does not count, so a paused countdown continues where it stopped.
+    /// @returns False if the game was not paused.
+    resume() {
+        if (this.state !== GameState.PAUSED) {
+            return false;
+        }
+        this.transition(this._resumeState);
+        this.stateTime = this._resumeTime;
+        return true;
+    }
+    /// Ends the running game.
+    gameOver() {
+        this.transition(GameState.GAME_OVER);
+    }
+    /// Returns to the title screen.
+    quit() {
+        this.transition(GameState.TITLE);
+    }
+    /// Advances the time in the current state and ends the countdown once it has run out.
+    /// @param deltaTime Milliseconds since the last update.
+    update(deltaTime) {
+        this.stateTime += deltaTime;
+        if (this.state === GameState.COUNTDOWN && this.stateTime >= this.countdownDuration) {
+            this.transition(GameState.PLAYING);
+        }
+    }
+}
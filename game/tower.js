@@ -0,0 +1,277 @@
+/// @module game/tower
+/// @desc Logical state of the tower game: the 3D occupancy grid and the active piece.
+///
+/// The grid is indexed with integer cell coordinates, where x runs along the width,
+/// y is up and z runs along the depth. Cell (0, 0, 0) is the bottom corner.
+/// Nothing in here knows about WebGL or world space, see index.html for that.
+export { TETROMINO_TYPES, TETROMINO_SHAPES, Axis, Tower, rotateCells, };
+// =============================================================================
+// Tetrominoes
+// =============================================================================
+/// Names of the seven tetrominoes.
+/// A grid cell stores the index of the piece type that occupies it plus one,
+/// so that zero can mean "empty".
+const TETROMINO_TYPES = ["I", "O", "T", "S", "Z", "J", "L"];
+/// Cell offsets of each tetromino relative to its pivot cell.
+/// All pieces spawn lying flat in the xz-plane.
+const TETROMINO_SHAPES = {
+    I: [[-1, 0, 0], [0, 0, 0], [1, 0, 0], [2, 0, 0]],
+    O: [[0, 0, 0], [1, 0, 0], [0, 0, 1], [1, 0, 1]],
+    T: [[-1, 0, 0], [0, 0, 0], [1, 0, 0], [0, 0, 1]],
+    S: [[-1, 0, 1], [0, 0, 1], [0, 0, 0], [1, 0, 0]],
+    Z: [[-1, 0, 0], [0, 0, 0], [0, 0, 1], [1, 0, 1]],
+    J: [[-1, 0, 1], [-1, 0, 0], [0, 0, 0], [1, 0, 0]],
+    L: [[-1, 0, 0], [0, 0, 0], [1, 0, 0], [1, 0, 1]],
+};
+/// Axes that a piece can be rotated around.
+const Axis = Object.freeze({
+    X: 0,
+    Y: 1,
+    Z: 2,
+});
+/// Rotates the given cell offsets by a quarter turn around an axis.
+/// @param cells Cell offsets to rotate, are not modified.
+/// @param axis Axis to rotate around.
+/// @param direction +1 for a counter-clockwise turn, -1 for a clockwise turn.
+/// @returns New array of rotated cell offsets.
+function rotateCells(cells, axis, direction) {
+    const s = direction < 0 ? -1 : 1;
+    return cells.map(([x, y, z]) => {
+        switch (axis) {
+            case Axis.X: return [x, -s * z, s * y];
+            case Axis.Y: return [s * z, y, -s * x];
+            case Axis.Z: return [-s * y, s * x, z];
+            default: throw new Error(`Invalid rotation axis: ${axis}.`);
+        }
+    });
+}
+/// Offsets tried in order when a rotation does not fit in place.
+const KICK_OFFSETS = [
+    [0, 0, 0],
+    [1, 0, 0], [-1, 0, 0],
+    [0, 0, 1], [0, 0, -1],
+    [0, 1, 0],
+    [2, 0, 0], [-2, 0, 0],
+    [0, 0, 2], [0, 0, -2],
+];
+// =============================================================================
+// Tower
+// =============================================================================
+/// The occupancy grid of locked blocks together with the falling piece.
+class Tower {
+    /// Number of cells along x.
+    width;
+    /// Number of cells along z.
+    depth;
+    /// Number of cells along y.
+    height;
+    /// Piece type (plus one) of every cell, zero if empty.
+    cells;
+    /// The falling piece or null if there is none.
+    /// A piece consists of its `type`, the integer pivot position `x`, `y` and `z`
+    /// and the `cells` offsets from the pivot.
+    active = null;
+    constructor(width, depth, height) {
+        if (!Number.isSafeInteger(width) || !Number.isSafeInteger(depth) || !Number.isSafeInteger(height)
+            || width < 1 || depth < 1 || height < 1) {
+            throw new Error(`Invalid tower dimensions: ${width}x${depth}x${height}.`);
+        }
+        this.width = width;
+        this.depth = depth;
+        this.height = height;
+        this.cells = new Uint8Array(width * depth * height);
+    }
+    /// Removes all blocks and the active piece.
+    reset() {
+        this.cells.fill(0);
+        this.active = null;
+    }
+    /// @returns The index of the given cell in `cells`.
+    index(x, y, z) {
+        return (y * this.depth + z) * this.width + x;
+    }
+    /// @returns True if the given cell lies within the grid.
+    contains(x, y, z) {
+        return x >= 0 && x < this.width
+            && y >= 0 && y < this.height
+            && z >= 0 && z < this.depth;
+    }
+    /// @returns The piece type (plus one) of the block in the given cell, zero if empty or outside.
+    getCell(x, y, z) {
+        return this.contains(x, y, z) ? this.cells[this.index(x, y, z)] : 0;
+    }
+    /// A cell is blocked if it is occupied, below the floor or outside the walls.
+    /// Cells above the top of the grid are free, so that pieces can rotate while spawning.
+    isBlocked(x, y, z) {
+        if (x < 0 || x >= this.width || z < 0 || z >= this.depth || y < 0) {
+            return true;
+        }
+        return y < this.height && this.cells[this.index(x, y, z)] !== 0;
+    }
+    /// @returns True if the given cell offsets fit into the grid at the given pivot.
+    fits(cells, x, y, z) {
+        return cells.every(([cx, cy, cz]) => !this.isBlocked(x + cx, y + cy, z + cz));
+    }
+    /// Spawns a new piece at the top center of the grid.
+    /// @param type Name of the tetromino to spawn.
+    /// @returns False if the piece does not fit, which means that the game is over.
+    spawn(type) {
+        const shape = TETROMINO_SHAPES[type];
+        if (shape === undefined) {
+            throw new Error(`Invalid tetromino type: ${type}.`);
+        }
+        const piece = {
+            type,
+            x: Math.floor((this.width - 1) / 2),
+            y: this.height - 1,
+            z: Math.floor((this.depth - 1) / 2),
+            cells: shape.map((cell) => [...cell]),
+        };
+        this.active = piece;
+        return this.fits(piece.cells, piece.x, piece.y, piece.z);
+    }
+    /// Moves the active piece by the given number of cells.
+    /// @returns True if the piece was moved, false if it was blocked.
+    move(dx, dy, dz) {
+        const piece = this.active;
+        if (piece === null || !this.fits(piece.cells, piece.x + dx, piece.y + dy, piece.z + dz)) {
+            return false;
+        }
+        piece.x += dx;
+        piece.y += dy;
+        piece.z += dz;
+        return true;
+    }
+    /// Rotates the active piece by a quarter turn, kicking it away from walls if necessary.
+    /// @param axis Axis to rotate around.
+    /// @param direction +1 for a counter-clockwise turn, -1 for a clockwise turn.
+    /// @returns True if the piece was rotated, false if it was blocked.
+    rotate(axis, direction) {
+        const piece = this.active;
+        if (piece === null) {
+            return false;
+        }
+        const rotated = rotateCells(piece.cells, axis, direction);
+        for (const [kx, ky, kz] of KICK_OFFSETS) {
+            if (this.fits(rotated, piece.x + kx, piece.y + ky, piece.z + kz)) {
+                piece.cells = rotated;
+                piece.x += kx;
+                piece.y += ky;
+                piece.z += kz;
+                return true;
+            }
+        }
+        return false;
+    }
+    /// @returns The number of cells the active piece can fall before it lands.
+    dropDistance() {
+        const piece = this.active;
+        if (piece === null) {
+            return 0;
+        }
+        let distance = 0;
+        while (this.fits(piece.cells, piece.x, piece.y - distance - 1, piece.z)) {
+            ++distance;
+        }
+        return distance;
+    }
+    /// Moves the active piece all the way down.
+    /// @returns The number of cells that the piece fell.
+    hardDrop() {
+        const distance = this.dropDistance();
+        if (this.active !== null) {
+            this.active.y -= distance;
+        }
+        return distance;
+    }
+    /// Writes the active piece into the grid and removes it.
+    /// @returns False if part of the piece locked above the top of the grid.
+    lock() {
+        const piece = this.active;
+        if (piece === null) {
+            return true;
+        }
+        const value = TETROMINO_TYPES.indexOf(piece.type) + 1;
+        let inside = true;
+        for (const [cx, cy, cz] of piece.cells) {
+            const x = piece.x + cx;
+            const y = piece.y + cy;
+            const z = piece.z + cz;
+            if (this.contains(x, y, z)) {
+                this.cells[this.index(x, y, z)] = value;
+            } else {
+                inside = false;
+            }
+        }
+        this.active = null;
+        return inside;
+    }
+    /// @returns True if every cell of the given layer is occupied.
+    isLayerFull(y) {
+        const layerSize = this.width * this.depth;
+        return this.cells.subarray(y * layerSize, (y + 1) * layerSize).every((value) => value !== 0);
+    }
+    /// @returns The number of layers from the floor up to and including the highest locked block.
+    stackHeight() {
+        const layerSize = this.width * this.depth;
+        for (let y = this.height - 1; y >= 0; --y) {
+            if (this.cells.subarray(y * layerSize, (y + 1) * layerSize).some((value) => value !== 0)) {
+                return y + 1;
+            }
+        }
+        return 0;
+    }
+    /// Removes all full layers and lets the blocks above them collapse down.
+    /// @returns The y coordinates of the removed layers, from the bottom up.
+    clearLayers() {
+        const layerSize = this.width * this.depth;
+        const cleared = [];
+        let target = 0;
+        for (let y = 0; y < this.height; ++y) {
+            if (this.isLayerFull(y)) {
+                cleared.push(y);
+                continue;
+            }
+            if (target !== y) {
+                this.cells.copyWithin(target * layerSize, y * layerSize, (y + 1) * layerSize);
+            }
+            ++target;
+        }
+        this.cells.fill(0, target * layerSize);
+        return cleared;
+    }
+    /// Calls the callback for every locked block with its cell and piece type name.
+    forEachBlock(callback) {
+        for (let y = 0; y < this.height; ++y) {
+            for (let z = 0; z < this.depth; ++z) {
+                for (let x = 0; x < this.width; ++x) {
+                    const value = this.cells[this.index(x, y, z)];
+                    if (value !== 0) {
+                        callback(x, y, z, TETROMINO_TYPES[value - 1]);
+                    }
+                }
+            }
+        }
+    }
+    /// Calls the callback for every block of the active piece.
+    forEachActiveBlock(callback) {
+        const piece = this.active;
+        if (piece === null) {
+            return;
+        }
+        for (const [cx, cy, cz] of piece.cells) {
+            callback(piece.x + cx, piece.y + cy, piece.z + cz, piece.type);
+        }
+    }
+    /// Calls the callback for every block of the active piece at the position where it would land.
+    forEachGhostBlock(callback) {
+        const piece = this.active;
+        if (piece === null) {
+            return;
+        }
+        const landingY = piece.y - this.dropDistance();
+        for (const [cx, cy, cz] of piece.cells) {
+            callback(piece.x + cx, landingY + cy, piece.z + cz, piece.type);
+        }
+    }
+}
@@ -1,4 +1,4 @@
-export { createAttributeBuffer, createDrawCall, createFragmentShader, createFramebuffer, createIndexBuffer, createRenderbuffer, createShaderProgram, createTexture, createVAO, createVertexShader, deleteShader, getContext, performDrawCall, updateFramebufferLayer, updateTexture, };
+export { createAttributeBuffer, createDrawCall, createFragmentShader, createFramebuffer, createIndexBuffer, createRenderbuffer, createShaderProgram, createTexture, createVAO, createVertexShader, deleteShader, getContext, performDrawCall, updateAttributeBuffer, updateFramebufferLayer, updateTexture, updateTextureMipmaps, };
 import { AttachmentType, AttributeDataType, BlendFunc, CullFace, DepthTest, DrawMode, INTEGER_TYPES, ShaderStage, TextureCompareFunc, TextureDataTarget, TextureFilter, TextureInternalFormat, TextureSrcDataType, TextureTarget, TextureWrap, } from "./types.js";
 import { areEqual, assert, isPrimitive, logInfo, logWarning, shallowCopy, throwError, } from "./dev.js";
 import { isPowerOf2, } from './math/index.js';
@@ -271,6 +271,30 @@ function createAttributeBuffer(gl, name, attributes, usage) {
         attributes: descriptions,
     };
 }
+/// Overwrites the data of some or all vertices of an Attribute Buffer.
+/// Use this for data that changes often, like per-instance attributes, preferably in a buffer
+/// created with a `DYNAMIC_DRAW` or `STREAM_DRAW` usage.
+/// @param gl The WebGL context.
+/// @param abo The Attribute Buffer to update.
+/// @param data The new data, in the interleaved layout of the buffer: all attributes of the
+///  first vertex, then all attributes of the second and so on.
+/// @param firstVertex Index of the first vertex to overwrite, defaults to zero.
+function updateAttributeBuffer(gl, abo, data, firstVertex = 0) {
+    const vertexByteStride = calcStride(abo.attributes.values());
+    if (data.byteLength % vertexByteStride !== 0) {
+        throwError(() => `The data for ABO "${abo.name}" must be a multiple of its vertex size. Data size is ${data.byteLength} bytes, vertex size is ${vertexByteStride} bytes.`);
+    }
+    const vertexCount = data.byteLength / vertexByteStride;
+    if (!Number.isInteger(firstVertex) || firstVertex < 0 || firstVertex + vertexCount > abo.size) {
+        throwError(() => `Cannot update vertices ${firstVertex} to ${firstVertex + vertexCount} of ABO "${abo.name}", which has ${abo.size} vertices.`);
+    }
+    if (vertexCount === 0) {
+        return;
+    }
+    gl.bindBuffer(gl.ARRAY_BUFFER, abo.glObject);
+    gl.bufferSubData(gl.ARRAY_BUFFER, firstVertex * vertexByteStride, data);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+}
 ///Create an index buffer from the given data.
 /// Simplified version of the `createAttributeBuffer` function above, used for indices.
 /// @param gl The WebGL context.
@@ -745,7 +769,7 @@ function createTexture(gl, name, width, height, target = TextureTarget.TEXTURE_2
         logWarning(() => 'Anisotropic filtering is not supported.');
     }
     // Comparison functions are only supported for depth textures.
-    if (options.compareFunc ?? TextureCompareFunc.NONE !== TextureCompareFunc.NONE) {
+    if ((options.compareFunc ?? TextureCompareFunc.NONE) !== TextureCompareFunc.NONE) {
         if (!isDepthFormat(options.internalFormat)) {
             logWarning(() => `Ignoring given comparison function for ${kind} texture "${name}" because it is not a depth texture.`);
             options.compareFunc = undefined;
@@ -763,16 +787,16 @@ function createTexture(gl, name, width, height, target = TextureTarget.TEXTURE_2
         // 2D and Cube Map textures
         if (depth === null) {
             gl.texStorage2D(target, options.levels, options.internalFormat, width, height);
-            // Enable depth texture comparison if requested.
-            if (options.compareFunc ?? TextureCompareFunc.NONE !== TextureCompareFunc.NONE) {
-                gl.texParameteri(target, gl.TEXTURE_COMPARE_MODE, gl.COMPARE_REF_TO_TEXTURE);
-                gl.texParameteri(target, gl.TEXTURE_COMPARE_FUNC, options.compareFunc);
-            }
         }
         // 3D and 2D Array textures
         else {
             gl.texStorage3D(target, options.levels, options.internalFormat, width, height, depth);
         }
+        // Enable depth texture comparison if requested.
+        if ((options.compareFunc ?? TextureCompareFunc.NONE) !== TextureCompareFunc.NONE) {
+            gl.texParameteri(target, gl.TEXTURE_COMPARE_MODE, gl.COMPARE_REF_TO_TEXTURE);
+            gl.texParameteri(target, gl.TEXTURE_COMPARE_FUNC, options.compareFunc);
+        }
         logInfo(() => `Created ${kind} texture "${name}".`);
         // Define the min- and magnification filter.
         let minFilter;
@@ -982,6 +1006,21 @@ function updateTexture(gl, texture, data, options = {}) {
         gl.bindTexture(texture.target, null);
     }
 }
+/// Recreates all mipmap levels of a texture from its first level.
+/// Use this after rendering into the first level of a texture with a framebuffer.
+/// @param gl The WebGL context.
+/// @param texture The texture object to update.
+/// @param wipTextureUnit The texture unit to use. Defaults to the highest texture unit available.
+function updateTextureMipmaps(gl, texture, wipTextureUnit) {
+    if (texture.levels < 2) {
+        logWarning(() => `Texture "${texture.name}" has no mipmap levels to update.`);
+        return;
+    }
+    gl.activeTexture(gl.TEXTURE0 + getWIPTextureUnit(gl, wipTextureUnit));
+    gl.bindTexture(texture.target, texture.glObject);
+    gl.generateMipmap(texture.target);
+    gl.bindTexture(texture.target, null);
+}
 // Renderbuffer ============================================================= //
 /// Creates a new Renderbuffer object.
 /// @param gl The WebGL context.
@@ -1245,6 +1284,10 @@ function updateFramebufferLayer(gl, framebuffer, location, layer, level = 0) {
     try {
         gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer.glObject);
         gl.framebufferTextureLayer(gl.FRAMEBUFFER, location, texture.glObject, level ?? attachment.level ?? 0, layer);
+        // Remember the attached layer, so that the check above works next time.
+        const updated = attachment;
+        updated.layer = layer;
+        updated.level = level ?? attachment.level;
     }
     // Always restore the WebGL state.
     finally {
@@ -1358,6 +1401,10 @@ const uniformUpdateError = (uniform, size, type) => `Value of uniform must be an
 function uploadUniform(gl, uniform) {
     switch (uniform.type) {
         case 'float':
+            if (uniform.size > 1) {
+                assert(() => [isArrayOfNumbers(uniform, 1), uniformUpdateError(uniform, 1, 'number')]);
+                return gl.uniform1fv(uniform.location, uniform.value);
+            }
             assert(() => [isNumber(uniform.value), `Value of uniform must be a number!`]);
             return gl.uniform1f(uniform.location, uniform.value);
         case 'vec2':
@@ -9,5 +9,7 @@ export * from "./core.js";
 export * from "./assets/geo.js";
 export * from "./math/index.js";
 export * from "./types.js";
+export * from "./post.js";
+export * from "./particles.js";
 export * from "./canvas.js";
 export * from "./utils.js";
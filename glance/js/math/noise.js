@@ -2,7 +2,7 @@ import { Vec3 } from "./Vec3.js";
 import { Vec4 } from "./Vec4.js";
 import { Mat3 } from "./Mat3.js";
 import { Mat4 } from "./Mat4.js";
-export { mulberry32, openSimplex2SHeightmap, };
+export { mulberry32, openSimplex2SHeightmap, gerstnerDisplacement, gerstnerHeightmap, };
 // =============================================================================
 // Random Number Generators
 // =============================================================================
@@ -107,11 +107,79 @@ function openSimplex2SDerivativesPart(X) {
 }
 // Not a skew transform.
 const __openSimplex2OrthonormalMap = new Mat3(0.788675134594813, -0.211324865405187, -0.577350269189626, -0.211324865405187, 0.788675134594813, -0.577350269189626, 0.577350269189626, 0.577350269189626, 0.577350269189626);
+// The derivatives are taken with respect to the rotated position, the transposed (inverse)
+// rotation turns them into derivatives with respect to the given position.
+const __openSimplex2OrthonormalMapTransposed = __openSimplex2OrthonormalMap.clone().transpose();
 /// Returns a heightmap value and its derivatives at a given position.
 /// The height is in the w component, and the derivatives are in the xyz components.
 function openSimplex2SHeightmap(position) {
     position.applyMat3(__openSimplex2OrthonormalMap);
     const result = openSimplex2SDerivativesPart(position.clone()).add(openSimplex2SDerivativesPart(position.addAll(144.5)));
-    const result2 = result.xyz.applyMat3(__openSimplex2OrthonormalMap);
+    const result2 = result.xyz.applyMat3(__openSimplex2OrthonormalMapTransposed);
     return new Vec4(result2.x, result2.y, result2.z, result.w);
 }
+/// Displaces a point of a flat surface by the sum of the given Gerstner waves.
+/// Gerstner waves do not only move the surface up and down, but also towards the crests,
+/// which makes them sharper than the troughs.
+/// @param waves Waves to add up.
+/// @param x X coordinate of the point at rest.
+/// @param z Z coordinate of the point at rest.
+/// @param time Time in seconds.
+/// @param normal Optional vector that receives the normal of the surface at the displaced point.
+/// @returns The offset of the displaced point from its rest position.
+function gerstnerDisplacement(waves, x, z, time, normal) {
+    const offset = new Vec3(0, 0, 0);
+    // Partial derivatives of the displaced point along x and z, their cross product is the normal.
+    const tangent = new Vec3(1, 0, 0);
+    const binormal = new Vec3(0, 0, 1);
+    for (const wave of waves) {
+        const length = Math.hypot(wave.direction[0], wave.direction[1]);
+        if (length === 0 || wave.wavelength <= 0) {
+            continue;
+        }
+        const dx = wave.direction[0] / length;
+        const dz = wave.direction[1] / length;
+        const k = 2 * Math.PI / wave.wavelength;
+        const phase = k * (dx * x + dz * z - wave.speed * time);
+        const sin = Math.sin(phase);
+        const cos = Math.cos(phase);
+        const ka = k * wave.amplitude;
+        const q = ka === 0 ? 0 : wave.steepness / (ka * waves.length);
+        const qa = q * wave.amplitude;
+        offset.x += qa * dx * cos;
+        offset.y += wave.amplitude * sin;
+        offset.z += qa * dz * cos;
+        const qka = q * ka;
+        tangent.x -= qka * dx * dx * sin;
+        tangent.y += ka * dx * cos;
+        tangent.z -= qka * dx * dz * sin;
+        binormal.x -= qka * dx * dz * sin;
+        binormal.y += ka * dz * cos;
+        binormal.z -= qka * dz * dz * sin;
+    }
+    if (normal) {
+        normal.copy(binormal.cross(tangent).normalize());
+    }
+    return offset;
+}
+/// Returns the height and the normal of a Gerstner wave surface at a given position.
+/// Since the waves move the surface sideways, the point of the surface above the position
+/// is found by moving its rest position against the horizontal offset a few times.
+/// @param waves Waves to add up.
+/// @param x X coordinate of the position.
+/// @param z Z coordinate of the position.
+/// @param time Time in seconds.
+/// @param iterations Number of refinements of the rest position, defaults to 4.
+/// @returns The normal in the xyz components and the height above the rest plane in the w component.
+function gerstnerHeightmap(waves, x, z, time, iterations = 4) {
+    let restX = x;
+    let restZ = z;
+    for (let i = 0; i < iterations; ++i) {
+        const offset = gerstnerDisplacement(waves, restX, restZ, time);
+        restX = x - offset.x;
+        restZ = z - offset.z;
+    }
+    const normal = new Vec3(0, 1, 0);
+    const offset = gerstnerDisplacement(waves, restX, restZ, time, normal);
+    return new Vec4(normal.x, normal.y, normal.z, offset.y);
+}
@@ -0,0 +1,229 @@
+export { PostProcessing, };
+import { RenderbufferInternalFormat, TextureFilter, TextureInternalFormat, TextureTarget, TextureWrap, } from "./types.js";
+import { logWarning, throwError, } from "./dev.js";
+import { createAttributeBuffer, createDrawCall, createFramebuffer, createIndexBuffer, createRenderbuffer, createTexture, createVAO, performDrawCall, } from "./core.js";
+import { buildAttributeMap, createShader, } from "./core_patterns.js";
+import { createScreenQuat, } from "./assets/geo.js";
+/// Vertex shader of all passes, which covers the screen with a single quad.
+const POST_VERTEX_SHADER = `#version 300 es
+    precision highp float;
+    in vec2 a_pos;
+    in vec2 a_texCoord;
+    out vec2 f_texCoord;
+    void main() {
+        f_texCoord = a_texCoord;
+        gl_Position = vec4(a_pos, 0.0, 1.0);
+    }
+`;
+/// A chain of full-screen passes that are applied to the rendered scene.
+/// Everything drawn between `begin` and `end` goes into the "scene" target, which is a
+/// floating-point texture by default, so that colors can be brighter than 1 (HDR).
+/// `end` then executes all passes in the order in which they were added. Every pass reads
+/// one or more targets and writes into one target, the last pass usually into the screen.
+/// Targets can be smaller than the scene, for example to blur them faster, and are
+/// recreated with the right size when the chain is resized.
+class PostProcessing {
+    /// Name of the chain, prefix of the names of all its WebGL objects.
+    name;
+    /// Size of the "scene" target in pixels.
+    _width;
+    _height;
+    /// Internal format of the targets, unless specified otherwise.
+    _internalFormat;
+    /// All targets by their name.
+    _targets = new Map();
+    /// All passes in the order of their execution.
+    _passes = [];
+    /// The screen quad shared by all passes.
+    _quadIBO;
+    _quadABO;
+    /// @param gl The WebGL2 context.
+    /// @param name Name of the chain.
+    /// @param width Width of the scene in pixels, usually that of the canvas.
+    /// @param height Height of the scene in pixels.
+    /// @param options Additional options:
+    /// - `internalFormat`: Internal format of the targets, defaults to `RGBA16F`.
+    ///   Falls back to `RGBA8` if the browser cannot render into floating-point textures.
+    constructor(gl, name, width, height, options = {}) {
+        this.name = name;
+        this._width = width;
+        this._height = height;
+        this._internalFormat = options.internalFormat ?? TextureInternalFormat.RGBA16F;
+        if (this._internalFormat !== TextureInternalFormat.RGBA8 && gl.getExtension("EXT_color_buffer_float") === null) {
+            logWarning(() => `Rendering into floating-point textures is not supported, post-processing chain "${name}" falls back to RGBA8.`);
+            this._internalFormat = TextureInternalFormat.RGBA8;
+        }
+        const quad = createScreenQuat(`${name}-quad`, { in2D: true });
+        this._quadIBO = createIndexBuffer(gl, quad.indices);
+        this._quadABO = createAttributeBuffer(gl, `${name}-quad-abo`, {
+            a_pos: { data: quad.positions, height: 2 },
+            a_texCoord: { data: quad.texCoords, height: 2 },
+        });
+        this.addTarget(gl, "scene", { depth: true });
+    }
+    /// Width of the scene in pixels.
+    get width() {
+        return this._width;
+    }
+    /// Height of the scene in pixels.
+    get height() {
+        return this._height;
+    }
+    /// Adds a new target that passes can read and write.
+    /// @param gl The WebGL2 context.
+    /// @param name Unique name of the target.
+    /// @param options Additional options:
+    /// - `scale`: Size of the target relative to the scene, defaults to 1.
+    /// - `internalFormat`: Internal format of the target, defaults to that of the chain.
+    /// - `depth`: Whether the target has a depth buffer, defaults to `false`.
+    addTarget(gl, name, options = {}) {
+        if (this._targets.has(name)) {
+            throwError(() => `Post-processing chain "${this.name}" already has a target "${name}".`);
+        }
+        const scale = options.scale ?? 1;
+        if (!(scale > 0)) {
+            throwError(() => `Invalid scale of target "${name}" in post-processing chain "${this.name}": ${scale}.`);
+        }
+        const target = {
+            name,
+            scale,
+            internalFormat: options.internalFormat ?? this._internalFormat,
+            hasDepth: options.depth ?? false,
+        };
+        this._createBuffers(gl, target);
+        this._targets.set(name, target);
+    }
+    /// The texture that the next pass would read from the given target.
+    /// After `end`, this is the final content of the target.
+    /// @param name Name of the target.
+    getTexture(name) {
+        return this._getTarget(name).buffers[0].texture;
+    }
+    /// Adds a pass to the end of the chain.
+    /// @param gl The WebGL2 context.
+    /// @param pass Definition of the pass.
+    addPass(gl, pass) {
+        const input = pass.input ?? "scene";
+        const output = pass.output === undefined ? input : pass.output;
+        const inputTarget = this._getTarget(input);
+        if (output !== null) {
+            this._getTarget(output);
+        }
+        // The input is always read from texture unit 0, all other targets from the following units.
+        const samplers = { u_input: 0 };
+        const textures = [[0, input]];
+        for (const [uniform, targetName] of Object.entries(pass.textures ?? {})) {
+            this._getTarget(targetName);
+            samplers[uniform] = textures.length;
+            textures.push([textures.length, targetName]);
+        }
+        const shader = createShader(gl, `${this.name}-${pass.name}-shader`, POST_VERTEX_SHADER, pass.fragmentSource, {
+            ...pass.uniforms,
+            ...samplers,
+        });
+        const vao = createVAO(gl, `${this.name}-${pass.name}-vao`, this._quadIBO, buildAttributeMap(shader, this._quadABO));
+        const updates = { ...pass.updates };
+        if (shader.uniforms.has("u_texelSize")) {
+            updates.u_texelSize = () => [1 / inputTarget.width, 1 / inputTarget.height];
+        }
+        const drawCall = createDrawCall(gl, shader, vao, {
+            uniforms: updates,
+        });
+        this._passes.push({ drawCall, input, output, textures, enabled: pass.enabled });
+    }
+    /// Recreates all targets with a new size, call this whenever the canvas is resized.
+    /// @param gl The WebGL2 context.
+    /// @param width New width of the scene in pixels.
+    /// @param height New height of the scene in pixels.
+    resize(gl, width, height) {
+        if (width === this._width && height === this._height) {
+            return;
+        }
+        this._width = width;
+        this._height = height;
+        for (const target of this._targets.values()) {
+            this._deleteBuffers(gl, target);
+            this._createBuffers(gl, target);
+        }
+    }
+    /// Binds the "scene" target, so that everything is drawn into it until `end` is called.
+    /// @param gl The WebGL2 context.
+    /// @param stack The framebuffer stack of the application.
+    begin(gl, stack) {
+        stack.push(gl, this._getTarget("scene").buffers[0].framebuffer);
+    }
+    /// Unbinds the "scene" target and executes all passes.
+    /// Passes without an output draw into the framebuffer that was bound before `begin`.
+    /// @param gl The WebGL2 context.
+    /// @param stack The framebuffer stack of the application.
+    /// @param time The current time in milliseconds.
+    end(gl, stack, time) {
+        stack.pop(gl);
+        for (const pass of this._passes) {
+            if (pass.enabled !== undefined && !pass.enabled(time)) {
+                continue;
+            }
+            const output = pass.output === null ? null : this._getTarget(pass.output);
+            if (output !== null) {
+                stack.push(gl, output.buffers[1].framebuffer);
+            }
+            try {
+                for (const [unit, targetName] of pass.textures) {
+                    gl.activeTexture(gl.TEXTURE0 + unit);
+                    gl.bindTexture(gl.TEXTURE_2D, this._getTarget(targetName).buffers[0].texture.glObject);
+                }
+                performDrawCall(gl, pass.drawCall, time);
+            }
+            finally {
+                // Unbind the textures, so that no later draw call reads a texture that is being written.
+                for (const [unit] of pass.textures) {
+                    gl.activeTexture(gl.TEXTURE0 + unit);
+                    gl.bindTexture(gl.TEXTURE_2D, null);
+                }
+                if (output !== null) {
+                    stack.pop(gl);
+                }
+            }
+            if (output !== null) {
+                output.buffers.reverse();
+            }
+        }
+    }
+    _getTarget(name) {
+        const target = this._targets.get(name);
+        if (target === undefined) {
+            throwError(() => `Post-processing chain "${this.name}" has no target "${name}".`);
+        }
+        return target;
+    }
+    /// Creates the textures, framebuffers and the depth buffer of the given target.
+    _createBuffers(gl, target) {
+        target.width = Math.max(1, Math.round(this._width * target.scale));
+        target.height = Math.max(1, Math.round(this._height * target.scale));
+        target.depth = target.hasDepth
+            ? createRenderbuffer(gl, `${this.name}-${target.name}-depth`, target.width, target.height, RenderbufferInternalFormat.DEPTH_COMPONENT24)
+            : null;
+        const createBuffer = (index) => {
+            const texture = createTexture(gl, `${this.name}-${target.name}-${index}`, target.width, target.height, TextureTarget.TEXTURE_2D, null, {
+                useAnisotropy: false,
+                internalFormat: target.internalFormat,
+                levels: 1,
+                filter: TextureFilter.LINEAR,
+                wrap: TextureWrap.CLAMP_TO_EDGE,
+            });
+            const framebuffer = createFramebuffer(gl, `${this.name}-${target.name}-framebuffer-${index}`, texture, target.depth);
+            return { texture, framebuffer };
+        };
+        target.buffers = [createBuffer(0), createBuffer(1)];
+    }
+    /// Deletes the WebGL objects of the given target.
+    _deleteBuffers(gl, target) {
+        for (const buffer of target.buffers) {
+            gl.deleteFramebuffer(buffer.framebuffer.glObject);
+            gl.deleteTexture(buffer.texture.glObject);
+        }
+        if (target.depth !== null) {
+            gl.deleteRenderbuffer(target.depth.glObject);
+        }
+    }
+}
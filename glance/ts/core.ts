@@ -13,8 +13,10 @@ export
     deleteShader,
     getContext,
     performDrawCall,
+    updateAttributeBuffer,
     updateFramebufferLayer,
     updateTexture,
+    updateTextureMipmaps,
 };
 
 import
@@ -405,6 +407,38 @@ function createAttributeBuffer(
     };
 }
 
+/// Overwrites the data of some or all vertices of an Attribute Buffer.
+/// Use this for data that changes often, like per-instance attributes, preferably in a buffer
+/// created with a `DYNAMIC_DRAW` or `STREAM_DRAW` usage.
+/// @param gl The WebGL context.
+/// @param abo The Attribute Buffer to update.
+/// @param data The new data, in the interleaved layout of the buffer: all attributes of the
+///  first vertex, then all attributes of the second and so on.
+/// @param firstVertex Index of the first vertex to overwrite, defaults to zero.
+function updateAttributeBuffer(
+    gl: WebGL2,
+    abo: AttributeBuffer,
+    data: ArrayBufferView,
+    firstVertex: number = 0,
+): void
+{
+    const vertexByteStride = calcStride(abo.attributes.values());
+    if (data.byteLength % vertexByteStride !== 0) {
+        throwError(() => `The data for ABO "${abo.name}" must be a multiple of its vertex size. Data size is ${data.byteLength} bytes, vertex size is ${vertexByteStride} bytes.`);
+    }
+    const vertexCount = data.byteLength / vertexByteStride;
+    if (!Number.isInteger(firstVertex) || firstVertex < 0 || firstVertex + vertexCount > abo.size) {
+        throwError(() => `Cannot update vertices ${firstVertex} to ${firstVertex + vertexCount} of ABO "${abo.name}", which has ${abo.size} vertices.`);
+    }
+    if (vertexCount === 0) {
+        return;
+    }
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, abo.glObject);
+    gl.bufferSubData(gl.ARRAY_BUFFER, firstVertex * vertexByteStride, data);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+}
+
 ///Create an index buffer from the given data.
 /// Simplified version of the `createAttributeBuffer` function above, used for indices.
 /// @param gl The WebGL context.
@@ -953,7 +987,7 @@ function createTexture(
     }
 
     // Comparison functions are only supported for depth textures.
-    if (options.compareFunc ?? TextureCompareFunc.NONE !== TextureCompareFunc.NONE) {
+    if ((options.compareFunc ?? TextureCompareFunc.NONE) !== TextureCompareFunc.NONE) {
         if (!isDepthFormat(options.internalFormat)) {
             logWarning(() => `Ignoring given comparison function for ${kind} texture "${name}" because it is not a depth texture.`);
             options.compareFunc = undefined;
@@ -1020,12 +1054,6 @@ function createTexture(
                     }
                 }
             }
-
-            // Enable depth texture comparison if requested.
-            if (options.compareFunc ?? TextureCompareFunc.NONE !== TextureCompareFunc.NONE) {
-                gl.texParameteri(target, gl.TEXTURE_COMPARE_MODE, gl.COMPARE_REF_TO_TEXTURE);
-                gl.texParameteri(target, gl.TEXTURE_COMPARE_FUNC, options.compareFunc as number);
-            }
         }
         // 3D and 2D Array textures
         else {
@@ -1037,6 +1065,12 @@ function createTexture(
                 height,
                 depth);
         }
+
+        // Enable depth texture comparison if requested.
+        if ((options.compareFunc ?? TextureCompareFunc.NONE) !== TextureCompareFunc.NONE) {
+            gl.texParameteri(target, gl.TEXTURE_COMPARE_MODE, gl.COMPARE_REF_TO_TEXTURE);
+            gl.texParameteri(target, gl.TEXTURE_COMPARE_FUNC, options.compareFunc as number);
+        }
         logInfo(() => `Created ${kind} texture "${name}".`);
 
         // Define the min- and magnification filter.
@@ -1281,6 +1315,23 @@ function updateTexture(
     }
 }
 
+/// Recreates all mipmap levels of a texture from its first level.
+/// Use this after rendering into the first level of a texture with a framebuffer.
+/// @param gl The WebGL context.
+/// @param texture The texture object to update.
+/// @param wipTextureUnit The texture unit to use. Defaults to the highest texture unit available.
+function updateTextureMipmaps(gl: WebGL2, texture: Texture, wipTextureUnit?: TextureUnitId): void
+{
+    if (texture.levels < 2) {
+        logWarning(() => `Texture "${texture.name}" has no mipmap levels to update.`);
+        return;
+    }
+    gl.activeTexture(gl.TEXTURE0 + getWIPTextureUnit(gl, wipTextureUnit));
+    gl.bindTexture(texture.target, texture.glObject);
+    gl.generateMipmap(texture.target);
+    gl.bindTexture(texture.target, null);
+}
+
 // Renderbuffer ============================================================= //
 
 /// Creates a new Renderbuffer object.
@@ -1630,6 +1681,11 @@ function updateFramebufferLayer(
             level ?? attachment.level ?? 0,
             layer,
         );
+
+        // Remember the attached layer, so that the check above works next time.
+        const updated = attachment as { layer?: number, level?: number };
+        updated.layer = layer;
+        updated.level = level ?? attachment.level;
     }
 
     // Always restore the WebGL state.
@@ -1793,6 +1849,10 @@ function uploadUniform(gl: WebGL2, uniform: ShaderUniform): void
 {
     switch (uniform.type) {
         case 'float':
+            if (uniform.size > 1) {
+                assert(() => [isArrayOfNumbers(uniform, 1), uniformUpdateError(uniform, 1, 'number')]);
+                return gl.uniform1fv(uniform.location, uniform.value as number[]);
+            }
             assert(() => [isNumber(uniform.value), `Value of uniform must be a number!`]);
             return gl.uniform1f(uniform.location, uniform.value as number);
         case 'vec2':
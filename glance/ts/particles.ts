@@ -0,0 +1,550 @@
+export
+{
+    ParticleEmitter,
+    ParticleSystem,
+    MAX_COLOR_STOPS,
+    type ParticleBlending,
+    type ParticleShape,
+    type ParticleSpawn,
+};
+
+import
+{
+    type AttributeBuffer,
+    type DrawCall,
+    type WebGL2,
+    BlendFunc,
+    BufferUsage,
+    CullFace,
+    DepthTest,
+} from "./types.js";
+import
+{
+    throwError,
+} from "./dev.js";
+import
+{
+    createAttributeBuffer,
+    createDrawCall,
+    createIndexBuffer,
+    createVAO,
+    performDrawCall,
+    updateAttributeBuffer,
+} from "./core.js";
+import
+{
+    buildAttributeMap,
+    createShader,
+} from "./core_patterns.js";
+import
+{
+    createBox,
+    createScreenQuat,
+} from "./assets/geo.js";
+import
+{
+    Mat4,
+    Vec3,
+} from "./math/index.js";
+
+
+// Particles ================================================================ //
+
+/// How the particles are blended with the scene.
+/// - `additive`: Particles add their light to the scene, for sparks and glows.
+/// - `alpha`: Particles cover the scene according to their alpha, for debris and droplets.
+type ParticleBlending = "additive" | "alpha";
+
+/// The geometry of a single particle.
+/// - `quad`: A round, soft-edged sprite that always faces the camera.
+/// - `cube`: A unit cube that tumbles around a random axis.
+type ParticleShape = "quad" | "cube";
+
+/// Where, how fast and how long new particles live.
+/// All ranges are given as `[min, max]`, from which every particle picks a random value.
+type ParticleSpawn = {
+    /// Center of the spawn volume, defaults to the origin.
+    position?: Vec3,
+
+    /// Radius of the sphere around the position in which particles spawn, defaults to zero.
+    spread?: number,
+
+    /// Initial velocity in units per second, defaults to zero.
+    velocity?: Vec3,
+
+    /// Radius of the sphere of random velocities that are added to the initial velocity, defaults to 1.
+    velocitySpread?: number,
+
+    /// Lifetime in seconds, defaults to `[1, 1]`.
+    lifetime?: [number, number],
+
+    /// Edge length in world units, defaults to `[0.05, 0.05]`.
+    size?: [number, number],
+
+    /// RGBA color, multiplied with the color over the lifetime, defaults to white.
+    color?: [number, number, number, number],
+};
+
+/// Largest number of stops in the color over the lifetime of a particle system.
+const MAX_COLOR_STOPS = 8;
+
+/// Number of floats per particle in the instance buffer.
+const PARTICLE_FLOATS = 14;
+
+/// Every particle moves on a parabola, so its position, size and color at any time follow
+/// from the values at its spawn. Only new particles are written into the instance buffer.
+const PARTICLE_VERTEX_SHADER = `#version 300 es
+    precision highp float;
+
+    uniform mat4 u_viewMatrix;
+    uniform mat4 u_projectionMatrix;
+    uniform float u_time;
+    uniform vec3 u_gravity;
+    uniform float u_floor;
+    uniform float u_spin;
+    uniform bool u_billboard;
+    uniform vec2 u_sizeOverLife;
+    uniform int u_colorStopCount;
+    uniform float u_colorTimes[${MAX_COLOR_STOPS}];
+    uniform vec4 u_colors[${MAX_COLOR_STOPS}];
+
+    in vec3 a_pos;
+    in vec3 a_normal;
+    in vec3 a_origin;
+    in vec3 a_velocity;
+    in vec4 a_life; // spawn time, lifetime, size, random seed
+    in vec4 a_color;
+
+    out vec2 f_local;
+    out vec3 f_normal;
+    out vec4 f_color;
+
+    // Color at the given fraction of the lifetime, interpolated linearly between the stops.
+    vec4 colorOverLife(float life) {
+        vec4 color = u_colors[0];
+        for (int i = 1; i < ${MAX_COLOR_STOPS}; ++i) {
+            if (i >= u_colorStopCount || life < u_colorTimes[i - 1]) {
+                break;
+            }
+            float duration = max(u_colorTimes[i] - u_colorTimes[i - 1], 0.0001);
+            color = mix(u_colors[i - 1], u_colors[i], clamp((life - u_colorTimes[i - 1]) / duration, 0.0, 1.0));
+        }
+        return color;
+    }
+
+    // Rotates the vector around the normalized axis (Rodrigues' rotation formula).
+    vec3 rotate(vec3 v, vec3 axis, float angle) {
+        float c = cos(angle);
+        float s = sin(angle);
+        return v * c + cross(axis, v) * s + axis * dot(axis, v) * (1.0 - c);
+    }
+
+    void main() {
+        float age = u_time - a_life.x;
+        float life = age / a_life.y;
+        vec3 center = a_origin + a_velocity * age + 0.5 * u_gravity * age * age;
+
+        // Particles that are not alive or below the floor are moved behind the far plane.
+        if (life < 0.0 || life > 1.0 || center.y < u_floor) {
+            f_local = vec2(0.0);
+            f_normal = vec3(0.0);
+            f_color = vec4(0.0);
+            gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+            return;
+        }
+
+        float size = a_life.z * mix(u_sizeOverLife.x, u_sizeOverLife.y, life);
+        vec3 worldPos;
+        if (u_billboard) {
+            // the first two rows of the view matrix are the right and up vectors of the camera
+            vec3 right = vec3(u_viewMatrix[0][0], u_viewMatrix[1][0], u_viewMatrix[2][0]);
+            vec3 up = vec3(u_viewMatrix[0][1], u_viewMatrix[1][1], u_viewMatrix[2][1]);
+            worldPos = center + (right * a_pos.x + up * a_pos.y) * size;
+            f_normal = a_normal;
+        } else {
+            // a random axis on the unit sphere, from the seed
+            float seed = a_life.w;
+            float axisY = fract(seed * 13.37) * 2.0 - 1.0;
+            float theta = seed * 43.98229715;
+            vec3 axis = vec3(sqrt(1.0 - axisY * axisY) * cos(theta), axisY, sqrt(1.0 - axisY * axisY) * sin(theta));
+            float angle = u_spin * age + seed * 6.283185307;
+            worldPos = center + rotate(a_pos, axis, angle) * size;
+            f_normal = rotate(a_normal, axis, angle);
+        }
+
+        f_local = a_pos.xy;
+        f_color = a_color * colorOverLife(life);
+        gl_Position = u_projectionMatrix * u_viewMatrix * vec4(worldPos, 1.0);
+    }
+`;
+
+const PARTICLE_FRAGMENT_SHADER = `#version 300 es
+    precision mediump float;
+
+    uniform bool u_billboard;
+    uniform vec3 u_lightDirection;
+
+    in vec2 f_local;
+    in vec3 f_normal;
+    in vec4 f_color;
+
+    out vec4 o_fragColor;
+
+    void main() {
+        vec4 color = f_color;
+        if (u_billboard) {
+            color.a *= 1.0 - smoothstep(0.25, 0.5, length(f_local));
+        } else {
+            color.rgb *= 0.55 + 0.45 * max(dot(normalize(f_normal), u_lightDirection), 0.0);
+        }
+        if (color.a <= 0.0) {
+            discard;
+        }
+        o_fragColor = color;
+    }
+`;
+
+/// Spawns particles into a ParticleSystem continuously, at a fixed rate.
+/// All spawn properties can be changed at any time, for example to move the emitter.
+class ParticleEmitter
+{
+    /// Particles per second.
+    public rate: number;
+
+    /// Whether the emitter spawns particles.
+    public enabled: boolean;
+
+    /// See `ParticleSpawn`.
+    public position: Vec3;
+    public spread: number;
+    public velocity: Vec3;
+    public velocitySpread: number;
+    public lifetime: [number, number];
+    public size: [number, number];
+    public color: [number, number, number, number];
+
+    /// Fraction of a particle that was not spawned yet.
+    private _pending: number = 0;
+
+    /// @param options The spawn properties, see `ParticleSpawn`, and:
+    /// - `rate`: Particles per second, defaults to 10.
+    /// - `enabled`: Whether the emitter spawns particles, defaults to `true`.
+    constructor(options: ParticleSpawn & { rate?: number, enabled?: boolean; } = {})
+    {
+        this.rate = options.rate ?? 10;
+        this.enabled = options.enabled ?? true;
+        this.position = (options.position ?? Vec3.zero()).clone();
+        this.spread = options.spread ?? 0;
+        this.velocity = (options.velocity ?? Vec3.zero()).clone();
+        this.velocitySpread = options.velocitySpread ?? 1;
+        this.lifetime = options.lifetime ?? [1, 1];
+        this.size = options.size ?? [0.05, 0.05];
+        this.color = options.color ?? [1, 1, 1, 1];
+    }
+
+    /// Advances the emitter by the given time.
+    /// @param deltaTime Time since the last call in seconds.
+    /// @returns The number of particles to spawn.
+    public advance(deltaTime: number): number
+    {
+        if (!this.enabled) {
+            this._pending = 0;
+            return 0;
+        }
+        this._pending += Math.max(0, this.rate * deltaTime);
+        const count = Math.floor(this._pending);
+        this._pending -= count;
+        return count;
+    }
+}
+
+/// A set of particles that share their shape, blending, gravity and color over their lifetime,
+/// drawn with a single instanced draw call.
+/// Particles are spawned in bursts with `burst` or continuously by emitters, and are stored in a
+/// ring buffer of fixed capacity, so the oldest particles are replaced once it is full.
+/// Their motion is computed in the vertex shader, so a particle is only written into the instance
+/// buffer once, in the `update` following its spawn.
+class ParticleSystem
+{
+    /// Name of the system, prefix of the names of all its WebGL objects.
+    public readonly name: string;
+
+    /// Largest number of particles alive at the same time.
+    public readonly capacity: number;
+
+    /// Acceleration of all particles in units per second squared.
+    public gravity: Vec3;
+
+    /// Particles below this height disappear, for example below the ground.
+    public floor: number;
+
+    /// Factor on the size of the particles at the begin and the end of their lifetime.
+    public sizeOverLife: [number, number];
+
+    /// Color stops over the lifetime of the particles, as pairs of the fraction of the
+    /// lifetime (from 0 to 1, ascending) and an RGBA color.
+    /// At most `MAX_COLOR_STOPS`, multiplied with the color of the particle.
+    public colorOverLife: Array<[number, [number, number, number, number]]>;
+
+    /// Angular speed of cubes in radians per second.
+    public spin: number;
+
+    /// Direction towards the light that shades the cubes.
+    public lightDirection: Vec3;
+
+    /// The emitters that spawn into this system.
+    private _emitters: Array<ParticleEmitter> = [];
+
+    /// Instance data of all particles and the range of particles that changed since the last upload.
+    private _data: Float32Array;
+    private _dirtyBegin: number;
+    private _dirtyEnd: number = 0;
+
+    /// Index of the next particle to write and the number of particles written so far.
+    private _next: number = 0;
+    private _count: number = 0;
+
+    /// Time in seconds since the first update, and the time of the last update in milliseconds.
+    private _time: number = 0;
+    private _lastUpdate: number | null = null;
+
+    /// Packed color stops, see `colorOverLife`.
+    private _colorTimes: Array<number> = new Array(MAX_COLOR_STOPS).fill(0);
+    private _colors: Array<number> = new Array(MAX_COLOR_STOPS * 4).fill(0);
+
+    /// Matrices of the current `draw`.
+    private _viewMatrix: Mat4 = Mat4.identity();
+    private _projectionMatrix: Mat4 = Mat4.identity();
+
+    private _instanceABO: AttributeBuffer;
+    private _drawCall: DrawCall;
+
+    /// @param gl The WebGL2 context.
+    /// @param name Name of the system.
+    /// @param options Additional options:
+    /// - `capacity`: Largest number of particles alive at the same time, defaults to 1000.
+    /// - `shape`: One of `ParticleShape`, defaults to `quad`.
+    /// - `blending`: One of `ParticleBlending`, defaults to `alpha`.
+    /// - `gravity`: Defaults to 9.81 units per second squared downwards.
+    /// - `floor`: Defaults to `-Infinity`.
+    /// - `sizeOverLife`: Defaults to `[1, 1]`.
+    /// - `colorOverLife`: Defaults to white, fading out towards the end.
+    /// - `spin`: Defaults to 4 radians per second.
+    /// - `lightDirection`: Defaults to straight up.
+    constructor(
+        gl: WebGL2,
+        name: string,
+        options: {
+            capacity?: number,
+            shape?: ParticleShape,
+            blending?: ParticleBlending,
+            gravity?: Vec3,
+            floor?: number,
+            sizeOverLife?: [number, number],
+            colorOverLife?: Array<[number, [number, number, number, number]]>,
+            spin?: number,
+            lightDirection?: Vec3,
+        } = {},
+    )
+    {
+        this.name = name;
+        this.capacity = Math.ceil(options.capacity ?? 1000);
+        if (!(this.capacity > 0)) {
+            throwError(() => `Invalid capacity of particle system "${name}": ${options.capacity}.`);
+        }
+        const shape = options.shape ?? "quad";
+        if (shape !== "quad" && shape !== "cube") {
+            throwError(() => `Invalid shape of particle system "${name}": ${shape}.`);
+        }
+        const blending = options.blending ?? "alpha";
+        if (blending !== "additive" && blending !== "alpha") {
+            throwError(() => `Invalid blending of particle system "${name}": ${blending}.`);
+        }
+        this.gravity = (options.gravity ?? new Vec3(0, -9.81, 0)).clone();
+        this.floor = options.floor ?? -Infinity;
+        this.sizeOverLife = options.sizeOverLife ?? [1, 1];
+        this.colorOverLife = options.colorOverLife ?? [[0, [1, 1, 1, 1]], [0.7, [1, 1, 1, 1]], [1, [1, 1, 1, 0]]];
+        this.spin = options.spin ?? 4;
+        this.lightDirection = (options.lightDirection ?? Vec3.yAxis()).clone();
+
+        this._data = new Float32Array(this.capacity * PARTICLE_FLOATS);
+        this._dirtyBegin = this.capacity;
+
+        const geo = shape === "cube"
+            ? createBox(`${name}-geo`)
+            : createScreenQuat(`${name}-geo`, { left: -0.5, right: 0.5, top: 0.5, bottom: -0.5 });
+        const ibo = createIndexBuffer(gl, geo.indices);
+        const vertexABO = createAttributeBuffer(gl, `${name}-vertex-abo`, {
+            a_pos: { data: geo.positions, height: 3 },
+            a_normal: { data: geo.normals, height: 3 },
+        });
+        const zeros = (height: number) => new Array<number>(this.capacity * height).fill(0);
+        this._instanceABO = createAttributeBuffer(gl, `${name}-instance-abo`, {
+            a_origin: { data: zeros(3), height: 3, divisor: 1 },
+            a_velocity: { data: zeros(3), height: 3, divisor: 1 },
+            a_life: { data: zeros(4), height: 4, divisor: 1 },
+            a_color: { data: zeros(4), height: 4, divisor: 1 },
+        }, BufferUsage.DYNAMIC_DRAW);
+
+        const shader = createShader(gl, `${name}-shader`, PARTICLE_VERTEX_SHADER, PARTICLE_FRAGMENT_SHADER, {
+            u_billboard: shape === "quad" ? 1 : 0,
+        });
+        const vao = createVAO(gl, `${name}-vao`, ibo, buildAttributeMap(shader, [vertexABO, this._instanceABO]));
+        this._drawCall = createDrawCall(gl, shader, vao, {
+            uniforms: {
+                u_viewMatrix: () => this._viewMatrix,
+                u_projectionMatrix: () => this._projectionMatrix,
+                u_time: () => this._time,
+                u_gravity: () => this.gravity,
+                u_floor: () => Math.max(this.floor, -1e30),
+                u_spin: () => this.spin,
+                u_sizeOverLife: () => this.sizeOverLife,
+                u_colorStopCount: () => this.colorOverLife.length,
+                u_colorTimes: () => this._colorTimes,
+                u_colors: () => this._colors,
+                u_lightDirection: () => this.lightDirection.clone().normalize(),
+            },
+            cullFace: shape === "cube" ? CullFace.BACK : CullFace.NONE,
+            depthTest: DepthTest.LESS,
+            updateDepthBuffer: false,
+            blendFunc: blending === "additive"
+                ? [BlendFunc.SRC_ALPHA, BlendFunc.ONE]
+                : [BlendFunc.SRC_ALPHA, BlendFunc.ONE_MINUS_SRC_ALPHA],
+            instances: () => Math.max(1, this._count),
+        });
+    }
+
+    /// Adds an emitter that spawns particles into this system on every `update`.
+    /// @param emitter The emitter, or the options of a new one.
+    /// @returns The added emitter.
+    public addEmitter(emitter: ParticleEmitter | ConstructorParameters<typeof ParticleEmitter>[0]): ParticleEmitter
+    {
+        const added = emitter instanceof ParticleEmitter ? emitter : new ParticleEmitter(emitter);
+        this._emitters.push(added);
+        return added;
+    }
+
+    /// Removes an emitter from this system.
+    /// @returns True if the emitter was part of this system.
+    public removeEmitter(emitter: ParticleEmitter): boolean
+    {
+        const index = this._emitters.indexOf(emitter);
+        if (index < 0) {
+            return false;
+        }
+        this._emitters.splice(index, 1);
+        return true;
+    }
+
+    /// Spawns the given number of particles at once.
+    /// They appear with the next `update`.
+    /// @param count Number of particles.
+    /// @param spawn Where, how fast and how long the particles live.
+    public burst(count: number, spawn: ParticleSpawn = {}): void
+    {
+        const position = spawn.position ?? Vec3.zero();
+        const spread = spawn.spread ?? 0;
+        const velocity = spawn.velocity ?? Vec3.zero();
+        const velocitySpread = spawn.velocitySpread ?? 1;
+        const [minLifetime, maxLifetime] = spawn.lifetime ?? [1, 1];
+        const [minSize, maxSize] = spawn.size ?? [0.05, 0.05];
+        const color = spawn.color ?? [1, 1, 1, 1];
+        if (!(minLifetime > 0 && maxLifetime >= minLifetime)) {
+            throwError(() => `Invalid particle lifetime: [${minLifetime}, ${maxLifetime}].`);
+        }
+
+        const offset = Vec3.zero();
+        for (let i = 0; i < Math.floor(count); ++i) {
+            const index = this._next;
+            const data = this._data;
+            let o = index * PARTICLE_FLOATS;
+
+            randomInSphere(offset).scale(spread).add(position);
+            data[o++] = offset.x;
+            data[o++] = offset.y;
+            data[o++] = offset.z;
+            randomInSphere(offset).scale(velocitySpread).add(velocity);
+            data[o++] = offset.x;
+            data[o++] = offset.y;
+            data[o++] = offset.z;
+            data[o++] = this._time;
+            data[o++] = minLifetime + Math.random() * (maxLifetime - minLifetime);
+            data[o++] = minSize + Math.random() * (maxSize - minSize);
+            data[o++] = Math.random();
+            data.set(color, o);
+
+            this._dirtyBegin = Math.min(this._dirtyBegin, index);
+            this._dirtyEnd = Math.max(this._dirtyEnd, index + 1);
+            this._next = (index + 1) % this.capacity;
+            this._count = Math.min(this._count + 1, this.capacity);
+        }
+    }
+
+    /// Advances the time of the system, spawns the particles of all emitters and uploads
+    /// all new particles. Call this once per frame, before `draw`.
+    /// @param gl The WebGL2 context.
+    /// @param time The current time in milliseconds.
+    public update(gl: WebGL2, time: number): void
+    {
+        const deltaTime = this._lastUpdate === null ? 0 : Math.max(0, time - this._lastUpdate) / 1000;
+        this._lastUpdate = time;
+        this._time += deltaTime;
+
+        for (const emitter of this._emitters) {
+            const count = emitter.advance(deltaTime);
+            if (count > 0) {
+                this.burst(count, emitter);
+            }
+        }
+
+        if (this._dirtyBegin < this._dirtyEnd) {
+            updateAttributeBuffer(gl, this._instanceABO,
+                this._data.subarray(this._dirtyBegin * PARTICLE_FLOATS, this._dirtyEnd * PARTICLE_FLOATS),
+                this._dirtyBegin);
+            this._dirtyBegin = this.capacity;
+            this._dirtyEnd = 0;
+        }
+    }
+
+    /// Removes all particles.
+    public clear(): void
+    {
+        this._data.fill(0);
+        this._next = 0;
+        this._count = 0;
+        this._dirtyBegin = this.capacity;
+        this._dirtyEnd = 0;
+    }
+
+    /// Draws all particles.
+    /// @param gl The WebGL2 context.
+    /// @param viewMatrix The view matrix of the camera.
+    /// @param projectionMatrix The projection matrix of the camera.
+    /// @param time The current time in milliseconds.
+    public draw(gl: WebGL2, viewMatrix: Mat4, projectionMatrix: Mat4, time: number): void
+    {
+        if (this._count === 0) {
+            return;
+        }
+        const stops = this.colorOverLife;
+        if (stops.length === 0 || stops.length > MAX_COLOR_STOPS) {
+            throwError(() => `Particle system "${this.name}" needs between 1 and ${MAX_COLOR_STOPS} color stops, has ${stops.length}.`);
+        }
+        for (let i = 0; i < stops.length; ++i) {
+            this._colorTimes[i] = stops[i][0];
+            this._colors.splice(i * 4, 4, ...stops[i][1]);
+        }
+        this._viewMatrix = viewMatrix;
+        this._projectionMatrix = projectionMatrix;
+        performDrawCall(gl, this._drawCall, time);
+    }
+}
+
+/// Sets the given vector to a random point inside the unit sphere.
+function randomInSphere(out: Vec3): Vec3
+{
+    do {
+        out.set(Math.random() * 2 - 1, Math.random() * 2 - 1, Math.random() * 2 - 1);
+    } while (out.x * out.x + out.y * out.y + out.z * out.z > 1);
+    return out;
+}